@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/**
+ * Cricket Tracker – command-line season summary
+ * --------------------------------------------------------
+ * Reads a file saved with the app's "Export" button (any schema version) and prints a season
+ * summary, per-format splits and insights, as text tables or JSON.
+ *
+ *   node cricket-stats-cli.mjs <export.json> [options]
+ *
+ *   --json               print JSON instead of text tables
+ *   --from YYYY-MM-DD    only matches on or after this date
+ *   --to YYYY-MM-DD      only matches on or before this date
+ *   --format NAME        only this format (T20, ODI, ...)
+ *   --match-type NAME    only this match type (League, Friendly, ...)
+ *   --player NAME        only this squad member's entries
+ *   --competition NAME   only matches in this competition (as named in the app)
+ *   --window N           recent-form window in innings (default 5)
+ *   --rules FILE         insight rules JSON (default: the built-in rule set)
+ *
+ * Exit codes: 0 on success, 1 for usage errors or unreadable files.
+ */
+import { readFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import {
+  DEFAULT_INSIGHT_RULES, EMPTY_FILTERS, applyFilters, checkImportedEntry, coerceEntry, isRecord,
+  migrateData, summarizeByFormat, summarizeSeason, toInt,
+} from "./cricket-stats.mjs";
+
+const USAGE = "Usage: node cricket-stats-cli.mjs <export.json> [--json] [--from DATE] [--to DATE] [--format NAME] [--match-type NAME] [--player NAME] [--competition NAME] [--window N] [--rules FILE]";
+
+function fail(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function readJSON(file) {
+  try {
+    return JSON.parse(readFileSync(file, "utf8"));
+  } catch (err) {
+    return fail(`Could not read ${file}: ${err.message}`);
+  }
+}
+
+// Left-aligned columns sized to their widest cell.
+function textTable(head, rows) {
+  const cells = [head, ...rows].map((r) => r.map((c) => (c == null ? "-" : String(c))));
+  const widths = head.map((_, i) => Math.max(...cells.map((r) => r[i].length)));
+  const line = (r) => r.map((c, i) => c.padEnd(widths[i])).join("  ").trimEnd();
+  return [line(cells[0]), widths.map((w) => "-".repeat(w)).join("  "), ...cells.slice(1).map(line)].join("\n");
+}
+
+function printText({ scope, summary, formats }) {
+  const { batting: b, bowling: w, fielding: f } = summary;
+  const out = [
+    `Season summary – ${scope}`,
+    `${summary.matches} matches${summary.from ? `, ${summary.from} to ${summary.to}` : ""}, form index ${summary.formIndex ?? "-"}`,
+    "",
+    textTable(["Batting", ""], [
+      ["Innings", b.innings], ["Runs", b.runs], ["Balls", b.balls], ["Average", b.average], ["Strike rate", b.strikeRate],
+      ["Highest", b.highest], ["50s / 100s", `${b.fifties} / ${b.hundreds}`], ["4s / 6s", `${b.fours} / ${b.sixes}`],
+      ["Boundary %", b.boundaryPct], ["Dot %", b.dotPct],
+    ]),
+    "",
+    textTable(["Bowling", ""], [
+      ["Innings", w.innings], ["Overs", w.overs], ["Runs", w.runs], ["Wickets", w.wickets], ["Average", w.average],
+      ["Economy", w.economy], ["Strike rate", w.strikeRate], ["Best", w.best], ["Maidens", w.maidens], ["Extras / over", w.extrasPerOver],
+    ]),
+    "",
+    textTable(["Fielding", ""], [["Catches", f.catches], ["Run-outs", f.runOuts], ["Drops", f.drops], ["Misfields", f.misfields]]),
+    "",
+    textTable(["Format", "M", "Runs", "Avg", "SR", "HS", "Wkts", "Econ", "Best", "Ct"], Object.entries(formats).map(([name, s]) => [
+      name, s.matches, s.batting.runs, s.batting.average, s.batting.strikeRate, s.batting.highest,
+      s.bowling.wickets, s.bowling.innings ? s.bowling.economy : null, s.bowling.best, s.fielding.catches,
+    ])),
+    "",
+    "Insights",
+    ...summary.insights.map((it) => `  [${it.severity}] ${it.area}${it.format ? ` · ${it.format}` : ""}: ${it.msg}`),
+  ];
+  console.log(out.join("\n"));
+}
+
+function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        json: { type: "boolean", default: false },
+        from: { type: "string", default: "" },
+        to: { type: "string", default: "" },
+        format: { type: "string", default: "all" },
+        "match-type": { type: "string", default: "all" },
+        player: { type: "string" },
+        competition: { type: "string" },
+        window: { type: "string", default: "5" },
+        rules: { type: "string" },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (err) {
+    return fail(`${err.message}\n${USAGE}`);
+  }
+  const { values: opts, positionals } = parsed;
+  if (opts.help) return console.log(USAGE);
+  if (positionals.length !== 1) return fail(USAGE);
+
+  let doc;
+  try {
+    doc = migrateData(readJSON(positionals[0]));
+  } catch (err) {
+    return fail(err.message);
+  }
+  // Same acceptance rule as the app's import: entries with problems are skipped, not guessed at.
+  const valid = doc.entries.filter((e) => isRecord(e) && checkImportedEntry(e).length === 0);
+  const skipped = doc.entries.length - valid.length;
+  let entries = valid.map(coerceEntry);
+
+  let scope = "all players";
+  if (opts.player) {
+    const player = (doc.players || []).find((p) => p.name.toLowerCase() === opts.player.toLowerCase());
+    if (!player) return fail(`No player named "${opts.player}" in this export.`);
+    entries = entries.filter((e) => e.playerId === player.id);
+    scope = player.name;
+  }
+  if (opts.competition) {
+    const comp = (doc.competitions || []).find((c) => c.name.toLowerCase() === opts.competition.toLowerCase());
+    if (!comp) return fail(`No competition named "${opts.competition}" in this export.`);
+    entries = entries.filter((e) => e.competitionId === comp.id);
+    scope += `, ${comp.name}`;
+  }
+  entries = applyFilters(entries, { ...EMPTY_FILTERS, from: opts.from, to: opts.to, format: opts.format, matchType: opts["match-type"] });
+  if (opts.format !== "all") scope += `, ${opts.format}`;
+
+  const window = Math.max(1, toInt(opts.window, 5));
+  const rules = opts.rules ? readJSON(opts.rules) : DEFAULT_INSIGHT_RULES;
+  if (!Array.isArray(rules)) return fail(`${opts.rules} is not a list of insight rules.`);
+  const options = { window, rules };
+  const result = { scope, skipped, summary: summarizeSeason(entries, options), formats: summarizeByFormat(entries, options) };
+
+  if (opts.json) console.log(JSON.stringify(result, null, 2));
+  else printText(result);
+  if (skipped) console.error(`${skipped} invalid entr${skipped === 1 ? "y was" : "ies were"} skipped.`);
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,1644 @@
+/**
+ * Cricket Tracker – stats & insights core
+ * --------------------------------------------------------
+ * Pure, framework-free functions over tracker entries (the objects in an `exportJSON`
+ * file's `entries` array). No DOM, storage or React: the app (script.js) and the CLI
+ * (cricket-stats-cli.mjs) both import from here, and club scripts can too:
+ *
+ *   import { migrateData, coerceEntry, summarizeSeason } from "./cricket-stats.mjs";
+ *   const doc = migrateData(JSON.parse(text));            // any export/storage version -> current schema
+ *   const entries = doc.entries.map(coerceEntry);          // numbers as numbers, ball logs applied
+ *   const summary = summarizeSeason(entries, { window: 5 });
+ *
+ * Main API
+ * - summarizeSeason(entries, { window, rules, minBalls, benchmarks }) – matches, batting, bowling, fielding,
+ *   form index, skill scores and insights in one object. summarizeByFormat() does the same per format.
+ * - isISODate(v), normalizeDate(v) – the YYYY-MM-DD dates entries are stored with.
+ * - sumTotals(list) – raw counting totals; calcBattingAverage, calcStrikeRate, calcEconomyFromBalls,
+ *   calcBowlingStats, calcSkillScores, countDismissals, calcScoringBreakdown build on them.
+ * - calcSkillScores(list, benchmarks) – radar axes scored against per-format bands (DEFAULT_SKILL_BENCHMARKS,
+ *   checked with isValidSkillBand);
+ *   calcSkillPercentiles(list, window) ranks the latest window against the player's own history;
+ *   skillTimeline(list, { mode, window }) gives one radar frame per match.
+ * - calcFormIndex(list, window), rollingTotals(list, window) – recent-vs-career form.
+ * - buildInsights(list, rules, window) / evaluateInsightRules – insight cards from a rule set
+ *   (DEFAULT_INSIGHT_RULES unless you pass your own; thresholds are per format).
+ * - calcRecords(list, minBalls), detectAchievements(history, entry) – records and milestones.
+ * - applyFilters(list, filters), calcSplits(list, key), calcWagonZones(list), calcPitchMap(list).
+ * - calcRunShare(list) – share of team runs over innings with a team total (innings context fields).
+ * - migrateData(doc), coerceEntry(e), checkImportedEntry(e), validateEntry(form) – schema handling.
+ * - parseQuickEntry(text) – shorthand ("45(32) 4x5 c", "4-0-28-2 1w") and scorecard rows to form fields.
+ * - entrySeasonId(e, seasons, competitions), currentSeason(seasons, today), summarizeCompetitions(entries,
+ *   competitions) – named seasons and competitions (tournaments, leagues) and per-competition summaries.
+ * - calcWorkload(list, today), weeklyWorkload(series), workloadInsights(series, settings) – bowling load,
+ *   acute:chronic ratio and over-limit warnings.
+ * - periodEntries(list, period), comparePeriods(a, b), compareSkillRadar(a, b) – period-vs-period deltas
+ *   with a rough significance verdict per metric.
+ *
+ * Conventions: overs are cricket notation strings ("3.2" = 3 overs 2 balls) and all bowling maths
+ * is done in balls; averages fall back to runs when never out; rates are rounded for display.
+ */
+
+// ------------ Constants ------------ //
+export const DEFAULT_FORMATS = ["T20", "ODI", "Test", "T10", "Street/Box", "Practice"];
+export const MATCH_TYPES = ["League", "Friendly", "Net Session", "Tournament", "Practice Match"];
+export const DISMISSALS = [
+  "Not Out",
+  "Bowled",
+  "LBW",
+  "Caught",
+  "Run Out",
+  "Stumped",
+  "Hit Wicket",
+  "Retired Hurt",
+];
+
+// Bump SCHEMA_VERSION (and add a step to MIGRATIONS) whenever the stored entry shape changes.
+export const SCHEMA_VERSION = 6;
+
+export const BOWLING_STYLES = [
+  "None",
+  "Right-arm pace",
+  "Left-arm pace",
+  "Off-spin",
+  "Leg-spin",
+  "Left-arm orthodox",
+  "Left-arm wrist spin",
+];
+// Bowler types a batter can face; same list as squad bowling styles.
+export const BOWLER_TYPES = BOWLING_STYLES.filter((s) => s !== "None");
+
+// ------------ Metrics ------------ //
+export function toInt(v, d = 0) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) ? n : d;
+}
+
+export function oversToBalls(overs) {
+  // e.g., 3.2 overs => 20 balls
+  if (overs == null || overs === "") return 0;
+  const parts = String(overs).split(".");
+  const whole = toInt(parts[0]);
+  const balls = parts[1] ? toInt(parts[1]) : 0;
+  return whole * 6 + balls;
+}
+
+export function ballsToOvers(balls) {
+  const o = Math.floor(balls / 6);
+  const r = balls % 6;
+  return `${o}.${r}`;
+}
+
+export function calcStrikeRate(runs, balls) {
+  if (!balls) return 0;
+  return +( (runs / balls) * 100 ).toFixed(1);
+}
+
+// `overs` is in cricket notation: "3.2" is 3 overs and 2 balls (20 balls), not 3.2 overs.
+export function calcEconomy(runsConceded, overs) {
+  return calcEconomyFromBalls(runsConceded, oversToBalls(overs));
+}
+
+export function fmtDate(d) {
+  try { return new Date(d).toLocaleDateString(); } catch { return d; }
+}
+
+// A real calendar day written YYYY-MM-DD (what the form's date input stores).
+export const isISODate = (v) => typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(`${v}T00:00:00Z`));
+
+// Other parseable dates ("05/18/2024", "18 May 2024") as YYYY-MM-DD in local time. ISO dates are kept
+// verbatim (new Date() would read them as UTC) and unparseable ones unchanged, for validation to report.
+export function normalizeDate(v) {
+  if (typeof v !== "string" || !v || /^\d{4}-\d{2}-\d{2}$/.test(v)) return v;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? v : `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+// Aggregates over any subset of entries (one player, the whole squad, ...)
+export function sumTotals(list) {
+  const t = {
+    matches: list.length,
+    runs: 0,
+    balls: 0,
+    outs: 0,
+    fours: 0,
+    sixes: 0,
+    dots: 0,
+    wickets: 0,
+    bowlBalls: 0,
+    runsConceded: 0,
+    maidens: 0,
+    wides: 0,
+    noBalls: 0,
+    catches: 0,
+    runOuts: 0,
+    drops: 0,
+    misfields: 0,
+  };
+  for (const e of list) {
+    t.runs += e.runs || 0;
+    t.balls += e.balls || 0;
+    t.outs += e.dismissal && e.dismissal !== "Not Out" ? 1 : 0;
+    t.fours += e.fours || 0;
+    t.sixes += e.sixes || 0;
+    t.dots += e.dots || 0;
+    t.wickets += e.wickets || 0;
+    t.bowlBalls += entryBowlBalls(e);
+    t.runsConceded += e.runsConceded || 0;
+    t.maidens += e.maidens || 0;
+    t.wides += e.wides || 0;
+    t.noBalls += e.noBalls || 0;
+    t.catches += e.catches || 0;
+    t.runOuts += e.runOuts || 0;
+    t.drops += e.drops || 0;
+    t.misfields += e.misfields || 0;
+  }
+  return t;
+}
+
+export function calcBattingAverage(runs, outs) {
+  return outs ? +(runs / outs).toFixed(2) : runs;
+}
+
+export function calcEconomyFromBalls(runsConceded, balls) {
+  return balls ? +(runsConceded / (balls / 6)).toFixed(2) : 0;
+}
+
+// Legal deliveries bowled in an entry, whichever of bowlBalls / overs was filled in.
+export function entryBowlBalls(e) {
+  return e.bowlBalls || oversToBalls(e.overs);
+}
+
+// Bowling figures over any subset of entries. Averages/strike rates are null until a wicket falls.
+export function calcBowlingStats(list) {
+  const bowled = list.filter((e) => entryBowlBalls(e) > 0);
+  const s = { innings: bowled.length, balls: 0, runs: 0, wickets: 0, maidens: 0, extras: 0, threeFers: 0, fiveFers: 0, best: null };
+  for (const e of bowled) {
+    const w = e.wickets || 0;
+    const r = e.runsConceded || 0;
+    s.balls += entryBowlBalls(e);
+    s.runs += r;
+    s.wickets += w;
+    s.maidens += e.maidens || 0;
+    s.extras += (e.wides || 0) + (e.noBalls || 0);
+    if (w >= 3) s.threeFers += 1;
+    if (w >= 5) s.fiveFers += 1;
+    // Best figures: most wickets, then fewest runs.
+    if (!s.best || w > s.best.wickets || (w === s.best.wickets && r < s.best.runs)) s.best = { wickets: w, runs: r, date: e.date };
+  }
+  return {
+    ...s,
+    overs: ballsToOvers(s.balls),
+    average: s.wickets ? +(s.runs / s.wickets).toFixed(2) : null,
+    strikeRate: s.wickets ? +(s.balls / s.wickets).toFixed(1) : null,
+    economy: calcEconomyFromBalls(s.runs, s.balls),
+    extrasPerOver: s.balls ? +(s.extras / (s.balls / 6)).toFixed(2) : 0,
+    bestFigures: s.best ? `${s.best.wickets}/${s.best.runs}` : "-",
+  };
+}
+
+export function countDismissals(list) {
+  const map = {};
+  for (const e of list) {
+    const key = e.dismissal || "Unknown";
+    map[key] = (map[key] || 0) + 1;
+  }
+  return Object.entries(map).map(([name, value]) => ({ name, value }));
+}
+
+export function calcScoringBreakdown(list) {
+  const sums = { ones: 0, twos: 0, threes: 0, fours: 0, sixes: 0, dots: 0 };
+  for (const e of list) {
+    sums.ones += e.singles || 0;
+    sums.twos += e.doubles || 0;
+    sums.threes += e.triples || 0;
+    sums.fours += e.fours || 0;
+    sums.sixes += e.sixes || 0;
+    sums.dots += e.dots || 0;
+  }
+  return [
+    { name: "1s", value: sums.ones },
+    { name: "2s", value: sums.twos },
+    { name: "3s", value: sums.threes },
+    { name: "4s", value: sums.fours },
+    { name: "6s", value: sums.sixes },
+    { name: "Dots", value: sums.dots },
+  ];
+}
+
+// ------------ Skill Radar ------------ //
+export const SKILL_AXES = [
+  ["Run Volume", "batVolume"],
+  ["Strike Rate", "batSR"],
+  ["Rotation", "rotation"],
+  ["Power", "power"],
+  ["Wkt Threat", "bowlStrike"],
+  ["Economy", "economy"],
+  ["Fielding", "fielding"],
+];
+
+// The raw number behind each axis, and which entries count towards it.
+export const SKILL_MEASURES = {
+  batVolume: { label: "Runs per innings", unit: "runs" },
+  batSR: { label: "Strike rate", unit: "" },
+  rotation: { label: "Dot ball %", unit: "%" },
+  power: { label: "Boundary % of runs", unit: "%" },
+  bowlStrike: { label: "Balls per wicket", unit: "balls" },
+  economy: { label: "Economy", unit: "rpo" },
+  fielding: { label: "Net dismissals per match (ct + ro − drops)", unit: "" },
+};
+
+/**
+ * Per-format bands [zero, full]: a measure at `zero` scores 0, at `full` scores 100, linear in between
+ * and clamped. Lower-is-better measures simply have zero > full. "default" covers other formats
+ * (street/box, practice). Numbers are club-level guesses meant to be edited in the app.
+ */
+export const DEFAULT_SKILL_BENCHMARKS = {
+  T20: { batVolume: [5, 40], batSR: [80, 170], rotation: [60, 25], power: [20, 65], bowlStrike: [36, 12], economy: [10, 6], fielding: [-0.5, 1] },
+  ODI: { batVolume: [5, 50], batSR: [50, 110], rotation: [65, 35], power: [20, 55], bowlStrike: [60, 24], economy: [7, 4], fielding: [-0.5, 1] },
+  Test: { batVolume: [5, 60], batSR: [30, 70], rotation: [80, 50], power: [15, 50], bowlStrike: [90, 45], economy: [4.5, 2.5], fielding: [-0.5, 1] },
+  T10: { batVolume: [3, 25], batSR: [100, 200], rotation: [55, 20], power: [25, 75], bowlStrike: [24, 8], economy: [13, 8], fielding: [-0.5, 1] },
+  default: { batVolume: [5, 40], batSR: [80, 170], rotation: [60, 25], power: [20, 65], bowlStrike: [36, 12], economy: [10, 6], fielding: [-0.5, 1] },
+};
+
+// Axes where a smaller raw number is better (used by the percentile mode).
+const SKILL_LOWER_IS_BETTER = ["rotation", "bowlStrike", "economy"];
+
+// Raw axis measures over `list` (null where there is nothing to measure) and how many entries fed each.
+export function calcSkillMeasures(list) {
+  const t = sumTotals(list);
+  const innings = list.filter(hasBatted).length;
+  const spells = list.filter((e) => entryBowlBalls(e) > 0).length;
+  return {
+    values: {
+      batVolume: innings ? t.runs / innings : null,
+      batSR: t.balls ? calcStrikeRate(t.runs, t.balls) : null,
+      rotation: t.balls ? (t.dots / t.balls) * 100 : null,
+      power: t.runs ? ((t.fours * 4 + t.sixes * 6) / t.runs) * 100 : null,
+      // No wickets is an infinite strike rate: the spells still count towards the weight but score 0.
+      bowlStrike: t.bowlBalls ? (t.wickets ? t.bowlBalls / t.wickets : Infinity) : null,
+      economy: t.bowlBalls ? calcEconomyFromBalls(t.runsConceded, t.bowlBalls) : null,
+      fielding: list.length ? (t.catches + t.runOuts - t.drops) / list.length : null,
+    },
+    weights: { batVolume: innings, batSR: innings, rotation: innings, power: innings, bowlStrike: spells, economy: spells, fielding: list.length },
+  };
+}
+
+// A usable [zero, full] band: two numbers that differ (equal ends would divide by zero).
+export const isValidSkillBand = (band) => Array.isArray(band) && band.length === 2
+  && band.map(parseThreshold).every((v) => v != null) && Number(band[0]) !== Number(band[1]);
+
+// One band from a (possibly user-edited) benchmark table, falling back to the defaults for blank or invalid ones.
+function skillBand(benchmarks, format, axis) {
+  const read = (table) => (table?.[format] ?? table?.default)?.[axis];
+  const band = read(benchmarks);
+  const [zero, full] = isValidSkillBand(band) ? band.map(Number) : read(DEFAULT_SKILL_BENCHMARKS);
+  return { zero, full };
+}
+
+// Infinite measures (a wicketless strike rate) are as bad as it gets, whichever way the band runs.
+const bandScore = (value, { zero, full }) => (Number.isFinite(value) ? Math.max(0, Math.min(100, ((value - zero) / (full - zero)) * 100)) : 0);
+
+/**
+ * Skill scores out of 100 against per-format benchmark bands. Each format is scored against its own
+ * bands and the results are blended by how many innings/spells/matches each format contributed,
+ * so a T20 strike rate and a Test strike rate mean the same thing on the radar. Axes with no data score 0.
+ */
+export function calcSkillScores(list, benchmarks = DEFAULT_SKILL_BENCHMARKS) {
+  const groups = {};
+  for (const e of list) (groups[BENCHMARK_FORMATS.includes(e.format) ? e.format : "default"] ||= []).push(e);
+  const scores = {};
+  for (const [, axis] of SKILL_AXES) {
+    let sum = 0;
+    let weight = 0;
+    for (const [format, entries] of Object.entries(groups)) {
+      const m = calcSkillMeasures(entries);
+      if (m.values[axis] == null || !m.weights[axis]) continue;
+      sum += bandScore(m.values[axis], skillBand(benchmarks, format, axis)) * m.weights[axis];
+      weight += m.weights[axis];
+    }
+    scores[axis] = weight ? Math.round(sum / weight) : 0;
+  }
+  return scores;
+}
+
+/**
+ * Percentile mode: the latest `window` matches against every earlier `window`-match stretch of the
+ * player's own history (rolling, one match apart). 100 = best stretch so far, 50 = typical.
+ * Returns null until there are at least three stretches to compare; axes without data score 0.
+ */
+export function calcSkillPercentiles(list, window = 5) {
+  const sorted = [...list].sort(byDate);
+  if (sorted.length < window + 2) return null;
+  const stretches = [];
+  for (let i = window; i <= sorted.length; i++) stretches.push(calcSkillMeasures(sorted.slice(i - window, i)).values);
+  const latest = stretches[stretches.length - 1];
+  const scores = {};
+  for (const [, axis] of SKILL_AXES) {
+    const v = latest[axis];
+    const history = stretches.slice(0, -1).map((s) => s[axis]).filter((x) => x != null);
+    if (v == null || !history.length) {
+      scores[axis] = 0;
+      continue;
+    }
+    const lower = SKILL_LOWER_IS_BETTER.includes(axis);
+    const worse = history.filter((x) => (lower ? x > v : x < v)).length;
+    const equal = history.filter((x) => x === v).length;
+    scores[axis] = Math.round(((worse + equal / 2) / history.length) * 100);
+  }
+  return scores;
+}
+
+/**
+ * Radar frames for the time slider: one per match (oldest first) from the `window`-th on,
+ * each scoring the `window` matches up to it – against benchmarks, or as percentiles of the
+ * history up to that match. [{ date, scores }]
+ */
+export function skillTimeline(list, { mode = "benchmark", window = 5, benchmarks = DEFAULT_SKILL_BENCHMARKS } = {}) {
+  const sorted = [...list].sort(byDate);
+  const frames = [];
+  for (let i = window; i <= sorted.length; i++) {
+    const scores = mode === "percentile"
+      ? calcSkillPercentiles(sorted.slice(0, i), window)
+      : calcSkillScores(sorted.slice(i - window, i), benchmarks);
+    if (scores) frames.push({ date: sorted[i - 1].date, scores });
+  }
+  return frames;
+}
+
+export const skillRadarData = (scores) => SKILL_AXES.map(([key, k]) => ({ key, val: scores[k] }));
+
+// ------------ Form & Rolling Trends ------------ //
+export const ROLLING_WINDOWS = [3, 5, 10];
+
+// Totals over the last `window` entries ending at each position (shorter at the start of the list).
+export function rollingTotals(list, window) {
+  return list.map((_, i) => sumTotals(list.slice(Math.max(0, i - window + 1), i + 1)));
+}
+
+/**
+ * Recent-vs-career form. Each part is a ratio where 1 means "at career level" and
+ * higher is better (economy is inverted). `index` is the mean of the parts × 100.
+ * Parts need more innings than the window so "recent" and "career" actually differ.
+ */
+export function calcFormIndex(list, window) {
+  const all = [...list].sort(byDate);
+  const bat = all.filter(hasBatted);
+  const bowl = all.filter((e) => entryBowlBalls(e) > 0);
+  const ratio = (recent, career) => (career > 0 ? recent / career : null);
+  const parts = { average: null, strikeRate: null, economy: null, wickets: null };
+  if (bat.length > window) {
+    const c = sumTotals(bat);
+    const r = sumTotals(bat.slice(-window));
+    parts.average = ratio(calcBattingAverage(r.runs, r.outs), calcBattingAverage(c.runs, c.outs));
+    parts.strikeRate = ratio(calcStrikeRate(r.runs, r.balls), calcStrikeRate(c.runs, c.balls));
+  }
+  if (bowl.length > window) {
+    const c = sumTotals(bowl);
+    const r = sumTotals(bowl.slice(-window));
+    const recentEcon = calcEconomyFromBalls(r.runsConceded, r.bowlBalls);
+    parts.economy = recentEcon ? ratio(calcEconomyFromBalls(c.runsConceded, c.bowlBalls), recentEcon) : null;
+    parts.wickets = ratio(r.wickets / r.matches, c.wickets / c.matches);
+  }
+  const vals = Object.values(parts).filter((v) => v != null);
+  if (!vals.length) return null;
+  // Each part is capped at 2× so one freak innings can't swamp the composite.
+  const index = Math.round((vals.reduce((a, v) => a + Math.min(2, v), 0) / vals.length) * 100);
+  return { index, parts };
+}
+
+// ±10% either side of the baseline counts as steady.
+export function formTrend(ratio) {
+  if (ratio == null) return null;
+  return ratio > 1.1 ? "up" : ratio < 0.9 ? "down" : "flat";
+}
+
+// ------------ Insight Rules ------------ //
+// Metrics a rule can test. Values are null when there isn't enough data (e.g. no balls bowled).
+export const INSIGHT_METRICS = [
+  { key: "battingAverage", label: "Batting average" },
+  { key: "strikeRate", label: "Strike rate" },
+  { key: "dotPct", label: "Dot ball %" },
+  { key: "boundaryPct", label: "Boundary % of runs" },
+  { key: "caughtPct", label: "Caught % of innings" },
+  { key: "bowledLbwPct", label: "Bowled/LBW % of innings" },
+  { key: "economy", label: "Economy" },
+  { key: "ballsPerWicket", label: "Balls per wicket" },
+  { key: "extrasPct", label: "Extras % of balls bowled" },
+  { key: "dropsMinusCatches", label: "Drops minus catches" },
+  { key: "formIndex", label: "Form index" },
+  { key: "offSidePct", label: "Off-side % of runs (wagon wheel)" },
+];
+// Formats with their own threshold column; everything else uses `default` ("Other").
+export const BENCHMARK_FORMATS = ["T20", "ODI", "Test", "T10"];
+export const SEVERITIES = ["info", "warning", "critical"];
+// A blank threshold switches the rule off for that format.
+export const DEFAULT_INSIGHT_RULES = [
+  { id: "sr-benchmark", area: "Batting", metric: "strikeRate", op: "<", thresholds: { T20: 100, ODI: 75, Test: 35, T10: 120, default: "" }, severity: "warning", enabled: true,
+    message: "Strike rate {value} is below the {format} benchmark ({threshold}). Focus on rotating strike and boundary options early." },
+  { id: "dot-pct", area: "Batting", metric: "dotPct", op: ">", thresholds: { T20: 40, ODI: 50, Test: 70, T10: 35, default: 45 }, severity: "warning", enabled: true,
+    message: "High dot ball percentage ({value}%) in {format}. Work on singles placement & quick calls." },
+  { id: "boundary-pct", area: "Batting", metric: "boundaryPct", op: "<", thresholds: { T20: 35, ODI: 25, Test: "", T10: 45, default: "" }, severity: "info", enabled: true,
+    message: "Boundary % is {value}% in {format}. Add power-hitting drills (range-hitting, strong base)." },
+  { id: "caught-share", area: "Shot Selection", metric: "caughtPct", op: ">", thresholds: { T20: 50, ODI: 40, Test: 40, T10: 60, default: 40 }, severity: "info", enabled: true,
+    message: "{value}% of {format} innings end caught. Reassess lofted shots & play later under the eyes." },
+  { id: "bowled-lbw-share", area: "Technique", metric: "bowledLbwPct", op: ">", thresholds: { T20: 30, ODI: 30, Test: 30, T10: 30, default: 30 }, severity: "warning", enabled: true,
+    message: "LBW/Bowled frequency ({value}%) suggests gap between bat & pad. Drill: straight-bat, shadow practice, front-foot defense." },
+  { id: "economy", area: "Bowling", metric: "economy", op: ">", thresholds: { T20: 8.5, ODI: 6, Test: 3.5, T10: 10, default: "" }, severity: "warning", enabled: true,
+    message: "Economy {value} in {format} (benchmark {threshold}). Work on yorkers, wide yorkers, and change-ups at the death." },
+  { id: "extras-rate", area: "Discipline", metric: "extrasPct", op: ">", thresholds: { T20: 5, ODI: 5, Test: 5, T10: 5, default: 5 }, severity: "warning", enabled: true,
+    message: "High extras rate ({value}% of balls). Groove run-up, release point; target cone drills." },
+  { id: "wicket-taking", area: "Bowling", metric: "ballsPerWicket", op: ">", thresholds: { T20: 24, ODI: 36, Test: 60, T10: 18, default: 24 }, severity: "info", enabled: true,
+    message: "Low wicket-taking in {format} ({value} balls per wicket). Try attacking fields early; vary length & pace more." },
+  { id: "drops", area: "Fielding", metric: "dropsMinusCatches", op: ">", thresholds: { T20: 0, ODI: 0, Test: 0, T10: 0, default: 0 }, severity: "warning", enabled: true,
+    message: "Drops exceed catches. Practice high catches and reaction drills." },
+  { id: "form-dip", area: "Form", metric: "formIndex", op: "<", thresholds: { T20: 80, ODI: 80, Test: 80, T10: 80, default: 80 }, severity: "warning", enabled: true,
+    message: "Form index {value} in {format}: recent innings are well below career level." },
+  { id: "off-side-light", area: "Shot Selection", metric: "offSidePct", op: "<", thresholds: { T20: 25, ODI: 25, Test: 25, T10: 25, default: 25 }, severity: "info", enabled: true,
+    message: "Only {value}% of your {format} runs come through the off side. Bowlers can starve you outside off; drill drives, cuts and late dabs." },
+  { id: "leg-side-light", area: "Shot Selection", metric: "offSidePct", op: ">", thresholds: { T20: 75, ODI: 75, Test: 75, T10: 75, default: 75 }, severity: "info", enabled: true,
+    message: "{value}% of your {format} runs come through the off side and little through the leg side. Work on flicks, pulls and working straight balls off the pads." },
+];
+
+export const parseThreshold = (v) => (v === "" || v == null || !Number.isFinite(Number(v)) ? null : Number(v));
+
+export function computeInsightMetrics(list, window) {
+  const t = sumTotals(list);
+  const n = list.length;
+  const share = (pred) => (n ? +((list.filter(pred).length / n) * 100).toFixed(1) : null);
+  return {
+    battingAverage: t.balls || t.runs ? calcBattingAverage(t.runs, t.outs) : null,
+    strikeRate: t.balls ? calcStrikeRate(t.runs, t.balls) : null,
+    dotPct: t.balls ? +((t.dots / t.balls) * 100).toFixed(1) : null,
+    boundaryPct: t.runs ? +(((t.fours * 4 + t.sixes * 6) / t.runs) * 100).toFixed(1) : null,
+    caughtPct: share((e) => e.dismissal === "Caught"),
+    bowledLbwPct: share((e) => e.dismissal === "Bowled" || e.dismissal === "LBW"),
+    economy: t.bowlBalls ? calcEconomyFromBalls(t.runsConceded, t.bowlBalls) : null,
+    ballsPerWicket: t.bowlBalls ? +(t.bowlBalls / Math.max(1, t.wickets)).toFixed(1) : null,
+    extrasPct: t.bowlBalls ? +(((t.wides + t.noBalls) / t.bowlBalls) * 100).toFixed(1) : null,
+    dropsMinusCatches: t.drops ? t.drops - t.catches : null,
+    formIndex: calcFormIndex(list, window)?.index ?? null,
+    offSidePct: (() => {
+      const w = calcWagonZones(list);
+      return w.runs >= WAGON_MIN_RUNS ? w.offPct : null;
+    })(),
+  };
+}
+
+// Rules run once per format in the list, each against that format's own threshold.
+export function evaluateInsightRules(rules, list, window) {
+  const byFormat = {};
+  for (const e of list) (byFormat[e.format || "Other"] ||= []).push(e);
+  const out = [];
+  for (const [format, group] of Object.entries(byFormat)) {
+    const metrics = computeInsightMetrics(group, window);
+    for (const rule of rules) {
+      if (!rule.enabled) continue;
+      const threshold = parseThreshold(BENCHMARK_FORMATS.includes(format) ? rule.thresholds?.[format] : rule.thresholds?.default);
+      const value = metrics[rule.metric];
+      if (threshold == null || value == null) continue;
+      if (rule.op === "<" ? value < threshold : value > threshold) {
+        const msg = String(rule.message || "")
+          .replace(/\{value\}/g, value)
+          .replace(/\{threshold\}/g, threshold)
+          .replace(/\{format\}/g, format)
+          .replace(/\{matches\}/g, group.length);
+        out.push({ area: rule.area, severity: rule.severity || "info", format, msg });
+      }
+    }
+  }
+  const rank = (it) => SEVERITIES.length - SEVERITIES.indexOf(it.severity);
+  return out.sort((a, b) => rank(a) - rank(b));
+}
+
+// The insight cards: a recent-form line, then whatever the rule set flags.
+// `extra` cards (e.g. workloadInsights) go in before the "all good" fallback is decided.
+export function buildInsights(list, rules, window, extra = []) {
+  const out = [...extra];
+  if (list.length >= window) {
+    const recent = [...list].sort(byDate).slice(-window);
+    const avg = recent.reduce((a, e) => a + (e.runs || 0), 0) / window;
+    out.push({ area: "Batting", severity: "info", msg: `Last ${window} innings avg: ${avg.toFixed(1)}` });
+  }
+  out.push(...evaluateInsightRules(rules, list, window));
+  if (out.length === 0) out.push({ area: "Overall", severity: "info", msg: "Good balance so far. Keep logging matches for sharper insights." });
+  return out;
+}
+
+// ------------ Records & Milestones ------------ //
+export const CAREER_RUN_MILESTONES = [100, 250, 500, 1000, 2000, 5000];
+export const CAREER_WICKET_MILESTONES = [10, 25, 50, 100, 200];
+export const DEFAULT_RECORD_MIN_BALLS = 10;
+
+export const isOut = (e) => !!e.dismissal && e.dismissal !== "Not Out";
+export const hasBatted = (e) => (e.balls || 0) > 0 || (e.runs || 0) > 0 || isOut(e);
+export const byDate = (a, b) => new Date(a.date) - new Date(b.date);
+
+// First entry with the highest score (ties keep the earlier one).
+function maxBy(list, score) {
+  return list.reduce((best, e) => (!best || score(e) > score(best) ? e : best), null);
+}
+
+function longestStreak(list, pred) {
+  let best = 0;
+  let cur = 0;
+  for (const e of list) {
+    cur = pred(e) ? cur + 1 : 0;
+    best = Math.max(best, cur);
+  }
+  return best;
+}
+
+// Bowling figures as one comparable number: more wickets first, then fewer runs.
+export const figuresScore = (e) => (e.wickets || 0) * 1000 - (e.runsConceded || 0);
+
+/**
+ * Personal records over a list of entries (one player's, ideally).
+ * `minBalls` is the qualifying innings length for the best strike-rate record.
+ */
+export function calcRecords(list, minBalls = DEFAULT_RECORD_MIN_BALLS) {
+  const all = [...list].sort(byDate);
+  const batted = all.filter(hasBatted);
+  const bowled = all.filter((e) => entryBowlBalls(e) > 0);
+  const sr = (e) => calcStrikeRate(e.runs || 0, e.balls || 0);
+  const econ = (e) => calcEconomyFromBalls(e.runsConceded || 0, entryBowlBalls(e));
+
+  return {
+    batting: {
+      innings: batted.length,
+      // A not-out edges out an equal dismissed score.
+      highest: maxBy(batted, (e) => (e.runs || 0) + (isOut(e) ? 0 : 0.5)),
+      thirties: batted.filter((e) => e.runs >= 30 && e.runs < 50).length,
+      fifties: batted.filter((e) => e.runs >= 50 && e.runs < 100).length,
+      hundreds: batted.filter((e) => e.runs >= 100).length,
+      ducks: batted.filter((e) => !e.runs && isOut(e)).length,
+      doubleFigureStreak: longestStreak(batted, (e) => (e.runs || 0) >= 10),
+      bestStrikeRate: maxBy(batted.filter((e) => (e.balls || 0) >= minBalls), sr),
+      mostSixes: maxBy(batted.filter((e) => e.sixes > 0), (e) => e.sixes),
+    },
+    bowling: {
+      innings: bowled.length,
+      best: maxBy(bowled, figuresScore),
+      threeFers: bowled.filter((e) => e.wickets >= 3).length,
+      fiveFers: bowled.filter((e) => e.wickets >= 5).length,
+      // Best economy needs at least two overs so a one-ball spell can't hold the record.
+      bestEconomy: maxBy(bowled.filter((e) => entryBowlBalls(e) >= 12), (e) => -econ(e)),
+      wicketStreak: longestStreak(bowled, (e) => (e.wickets || 0) > 0),
+    },
+    fielding: {
+      mostCatches: maxBy(all.filter((e) => e.catches > 0), (e) => e.catches),
+      mostDismissals: maxBy(all.filter((e) => e.catches + e.runOuts > 0), (e) => (e.catches || 0) + (e.runOuts || 0)),
+      dropFreeStreak: longestStreak(all, (e) => !e.drops),
+    },
+  };
+}
+
+// Label/value rows for the Records panel and the printed report. The optional third
+// element is the entry that holds the record (shown with its date).
+export function recordGroups(records, minBalls) {
+  const { batting: b, bowling: w, fielding: f } = records;
+  return [
+    { title: "Batting", rows: [
+      ["Highest score", b.highest ? `${b.highest.runs}${isOut(b.highest) ? "" : "*"}` : "-", b.highest],
+      ["30s / 50s / 100s", `${b.thirties} / ${b.fifties} / ${b.hundreds}`],
+      ["Ducks", b.ducks],
+      ["Double-figure streak", `${b.doubleFigureStreak} inns`],
+      [`Best SR (${minBalls}+ balls)`, b.bestStrikeRate ? `${calcStrikeRate(b.bestStrikeRate.runs, b.bestStrikeRate.balls)} (${b.bestStrikeRate.runs} off ${b.bestStrikeRate.balls})` : "-", b.bestStrikeRate],
+      ["Most sixes", b.mostSixes?.sixes ?? "-", b.mostSixes],
+    ] },
+    { title: "Bowling", rows: [
+      ["Best figures", w.best ? `${w.best.wickets || 0}/${w.best.runsConceded || 0}` : "-", w.best],
+      ["3+ / 5+ wkt hauls", `${w.threeFers} / ${w.fiveFers}`],
+      ["Best economy (2+ ov)", w.bestEconomy ? calcEconomyFromBalls(w.bestEconomy.runsConceded || 0, entryBowlBalls(w.bestEconomy)) : "-", w.bestEconomy],
+      ["Matches in a row with a wicket", w.wicketStreak],
+    ] },
+    { title: "Fielding", rows: [
+      ["Most catches", f.mostCatches?.catches ?? "-", f.mostCatches],
+      ["Most dismissals (C+RO)", f.mostDismissals ? (f.mostDismissals.catches || 0) + (f.mostDismissals.runOuts || 0) : "-", f.mostDismissals],
+      ["Drop-free streak", `${f.dropFreeStreak} matches`],
+    ] },
+  ];
+}
+
+/**
+ * Personal bests and milestones set by `entry`, judged against the same player's
+ * entries dated on or before it (so back-filled old matches are judged fairly).
+ */
+export function detectAchievements(history, entry, minBalls = DEFAULT_RECORD_MIN_BALLS) {
+  const earlier = history.filter((e) => e.id !== entry.id && (e.playerId || "") === (entry.playerId || "") && (e.date || "") <= (entry.date || ""));
+  const before = calcRecords(earlier, minBalls);
+  const after = calcRecords([...earlier, entry], minBalls);
+  const runs = entry.runs || 0;
+  const score = `${runs}${isOut(entry) ? "" : "*"}`;
+  const list = [];
+
+  if (runs >= 100) list.push(`Century – ${score}`);
+  else if (runs >= 50) list.push(`Half-century – ${score}`);
+  if (entry.wickets >= 5) list.push(`Five-wicket haul – ${entry.wickets}/${entry.runsConceded || 0}`);
+
+  if (before.batting.innings && after.batting.highest === entry && runs > (before.batting.highest.runs || 0)) {
+    list.push(`New highest score: ${score} (previous ${before.batting.highest.runs})`);
+  }
+  if (before.batting.bestStrikeRate && after.batting.bestStrikeRate === entry) {
+    list.push(`Best strike rate (${minBalls}+ balls): ${calcStrikeRate(runs, entry.balls)}`);
+  }
+  if (before.bowling.innings && after.bowling.best === entry && figuresScore(entry) > figuresScore(before.bowling.best)) {
+    list.push(`New best bowling: ${entry.wickets}/${entry.runsConceded || 0}`);
+  }
+  if (before.batting.doubleFigureStreak >= 3 && after.batting.doubleFigureStreak > before.batting.doubleFigureStreak) {
+    list.push(`Longest run of double-figure scores: ${after.batting.doubleFigureStreak} innings`);
+  }
+  if (before.fielding.mostCatches && after.fielding.mostCatches === entry) {
+    list.push(`Most catches in a match: ${entry.catches}`);
+  }
+
+  const careerRuns = earlier.reduce((a, e) => a + (e.runs || 0), 0);
+  const careerWkts = earlier.reduce((a, e) => a + (e.wickets || 0), 0);
+  for (const m of CAREER_RUN_MILESTONES) if (careerRuns < m && careerRuns + runs >= m) list.push(`${m} career runs`);
+  for (const m of CAREER_WICKET_MILESTONES) if (careerWkts < m && careerWkts + (entry.wickets || 0) >= m) list.push(`${m} career wickets`);
+  return list;
+}
+
+// ------------ Filters ------------ //
+// "all" is the catch-all for the select filters; empty strings switch the text/date filters off.
+export const EMPTY_FILTERS = { from: "", to: "", format: "all", matchType: "all", venue: "" };
+
+export function applyFilters(list, f) {
+  const venue = f.venue.trim().toLowerCase();
+  return list.filter((e) =>
+    (!f.from || (e.date || "") >= f.from) &&
+    (!f.to || (e.date || "") <= f.to) &&
+    (f.format === "all" || e.format === f.format) &&
+    (f.matchType === "all" || e.matchType === f.matchType) &&
+    (!venue || (e.venue || "").toLowerCase().includes(venue))
+  );
+}
+
+export const isFiltered = (f) => Object.keys(EMPTY_FILTERS).some((k) => f[k] !== EMPTY_FILTERS[k]);
+
+// ------------ Splits ------------ //
+// `ordered` dimensions list their rows by value (No. 1 first) rather than by innings played.
+export const SPLIT_DIMENSIONS = [
+  { key: "opposition", label: "Opposition" },
+  { key: "ground", label: "Ground" },
+  { key: "bowlerType", label: "Bowler type" },
+  { key: "battingPosition", label: "Batting position", ordered: true },
+  { key: "inningsType", label: "Setting / chasing" },
+  { key: "result", label: "Result" },
+];
+export const NOT_RECORDED = "Not recorded";
+
+// Earlier values of a free-text field, most used first, for autocomplete (case-insensitive, first spelling wins).
+export function distinctValues(list, key) {
+  const seen = new Map();
+  for (const e of list) {
+    const v = String(e[key] || "").trim();
+    if (!v) continue;
+    const hit = seen.get(v.toLowerCase()) || { value: v, count: 0 };
+    hit.count += 1;
+    seen.set(v.toLowerCase(), hit);
+  }
+  return [...seen.values()].sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)).map((h) => h.value);
+}
+
+// Batting per value of `key` (opposition, ground, bowler type, position...), over innings actually batted.
+// Names are grouped case-insensitively; the first spelling seen is the one shown.
+export function calcSplits(list, key) {
+  const ordered = SPLIT_DIMENSIONS.find((d) => d.key === key)?.ordered;
+  const groups = new Map();
+  for (const e of list.filter(hasBatted)) {
+    const name = String(e[key] || "").trim() || NOT_RECORDED;
+    const id = name.toLowerCase();
+    if (!groups.has(id)) groups.set(id, { name, entries: [] });
+    groups.get(id).entries.push(e);
+  }
+  return [...groups.values()].map(({ name, entries }) => {
+    const t = sumTotals(entries);
+    const outs = entries.filter(isOut);
+    const mix = countDismissals(outs).sort((a, b) => b.value - a.value).map((d) => ({ ...d, pct: Math.round((d.value / outs.length) * 100) }));
+    return {
+      name,
+      innings: entries.length,
+      runs: t.runs,
+      balls: t.balls,
+      outs: t.outs,
+      average: calcBattingAverage(t.runs, t.outs),
+      strikeRate: calcStrikeRate(t.runs, t.balls),
+      highest: Math.max(...entries.map((e) => e.runs || 0)),
+      share: calcRunShare(entries).share,
+      dismissals: mix,
+    };
+  }).sort((a, b) => (a.name === NOT_RECORDED) - (b.name === NOT_RECORDED)
+    || (ordered ? Number(a.name) - Number(b.name) : b.innings - a.innings || a.name.localeCompare(b.name)));
+}
+
+// ------------ Innings Context ------------ //
+// Optional match situation recorded with an innings. Blank means "not recorded", so the numbers are
+// kept as "" rather than run through toInt like NUMERIC_FIELDS.
+export const INNINGS_TYPES = ["Setting", "Chasing"];
+export const MATCH_RESULTS = ["Won", "Lost", "Tied", "Drawn", "No Result"];
+export const CONTEXT_NUMBERS = ["battingPosition", "teamTotal", "target"];
+export const CONTEXT_FIELDS = [...CONTEXT_NUMBERS, "inningsType", "result"];
+
+const optionalInt = (v) => (v == null || String(v).trim() === "" || !/^\s*\d+\s*$/.test(String(v)) ? "" : toInt(v));
+
+/**
+ * The player's share of the team's runs, over innings with a team total recorded:
+ * { innings, runs, teamRuns, share } (share in %, null when no team totals were entered).
+ */
+export function calcRunShare(list) {
+  const known = list.filter((e) => optionalInt(e.teamTotal) > 0);
+  const runs = known.reduce((a, e) => a + (e.runs || 0), 0);
+  const teamRuns = known.reduce((a, e) => a + optionalInt(e.teamTotal), 0);
+  return { innings: known.length, runs, teamRuns, share: teamRuns ? +((runs / teamRuns) * 100).toFixed(1) : null };
+}
+
+// ------------ Validation ------------ //
+// Whole-number fields that addOrUpdateEntry runs through toInt.
+export const NUMERIC_FIELDS = [
+  "runs", "balls", "singles", "doubles", "triples", "fours", "sixes", "dots",
+  "bowlBalls", "runsConceded", "wickets", "maidens", "wides", "noBalls",
+  "catches", "runOuts", "drops", "misfields",
+];
+
+const isBlank = (v) => v == null || String(v).trim() === "";
+
+/**
+ * Cricket-aware checks on a form (or entry) before it is saved.
+ * Returns field-keyed messages: `errors` block saving, `warnings` need a confirmation.
+ */
+export function validateEntry(f) {
+  const errors = {};
+  const warnings = {};
+  const n = (k) => toInt(f[k]);
+
+  for (const k of NUMERIC_FIELDS) {
+    if (isBlank(f[k])) continue;
+    if (!/^\s*\d+\s*$/.test(String(f[k]))) errors[k] = "Must be a whole number (0 or more).";
+  }
+  if (!f.date) errors.date = "Date is required.";
+
+  // Batting
+  const scoringShots = n("singles") + n("doubles") + n("triples") + n("fours") + n("sixes");
+  const breakdownRuns = n("singles") + n("doubles") * 2 + n("triples") * 3 + n("fours") * 4 + n("sixes") * 6;
+  const hasBreakdown = ["singles", "doubles", "triples", "fours", "sixes"].some((k) => !isBlank(f[k]));
+  if (n("runs") > 0 && n("balls") === 0) errors.balls = "Runs were scored, so balls faced can't be 0.";
+  else if (n("runs") > n("balls") * 6) errors.runs = `${n("runs")} runs from ${n("balls")} balls is more than 6 per ball.`;
+  if (hasBreakdown && breakdownRuns > n("runs")) {
+    errors.runs = `1s/2s/3s/4s/6s add up to ${breakdownRuns}, more than the ${n("runs")} runs entered.`;
+  } else if (hasBreakdown && breakdownRuns < n("runs")) {
+    warnings.runs = `1s/2s/3s/4s/6s add up to ${breakdownRuns} of ${n("runs")} runs (5s or overthrows?).`;
+  }
+  if (scoringShots + n("dots") > n("balls")) {
+    errors.dots = `Dots + scoring shots (${scoringShots + n("dots")}) exceed balls faced (${n("balls")}).`;
+  }
+  const runningRuns = n("runs") - n("fours") * 4 - n("sixes") * 6;
+  const runningBalls = n("balls") - n("fours") - n("sixes");
+  if (runningRuns > 0 && runningRuns > runningBalls * 2) {
+    warnings.balls = `${runningRuns} runs without boundaries from ${runningBalls} balls is unusually high.`;
+  }
+  const wagonRuns = (f.wagonWheel || []).reduce((a, s) => a + toInt(s.runs), 0);
+  if (wagonRuns > n("runs")) errors.wagonWheel = `Wagon wheel shots add up to ${wagonRuns}, more than the ${n("runs")} runs entered.`;
+  if (f.dismissal && f.dismissal !== "Not Out" && n("balls") === 0 && f.dismissal !== "Run Out") {
+    warnings.dismissal = `${f.dismissal} without facing a ball?`;
+  }
+
+  // Bowling
+  const oversStr = isBlank(f.overs) ? "" : String(f.overs).trim();
+  if (oversStr && !/^\d+(\.\d)?$/.test(oversStr)) {
+    errors.overs = "Use cricket notation, e.g. 3.2 (3 overs, 2 balls).";
+  } else if (oversStr && toInt(oversStr.split(".")[1]) > 5) {
+    errors.overs = `Ball digit must be 0–5 (${oversStr} isn't a valid over count).`;
+  }
+  const ballsFromOvers = oversToBalls(oversStr);
+  if (oversStr && !errors.overs && !isBlank(f.bowlBalls) && ballsFromOvers !== n("bowlBalls")) {
+    errors.bowlBalls = `${oversStr} overs is ${ballsFromOvers} balls, not ${n("bowlBalls")}.`;
+  }
+  const legalBalls = oversStr ? ballsFromOvers : n("bowlBalls");
+  if (n("maidens") > Math.floor(legalBalls / 6)) {
+    errors.maidens = `Only ${Math.floor(legalBalls / 6)} completed over(s), so at most that many maidens.`;
+  }
+  if (n("wickets") > 0 && legalBalls === 0) errors.wickets = "Wickets need overs or balls bowled.";
+  else if (n("wickets") > 10) errors.wickets = "A bowler can take at most 10 wickets in an innings.";
+  else if (n("wickets") > legalBalls + n("noBalls")) errors.wickets = "More wickets than deliveries bowled.";
+  if (n("runsConceded") > 0 && legalBalls === 0 && n("wides") + n("noBalls") === 0) {
+    errors.runsConceded = "Runs conceded need overs or balls bowled.";
+  }
+  // Innings context
+  for (const k of CONTEXT_NUMBERS) {
+    if (!isBlank(f[k]) && !/^\s*\d+\s*$/.test(String(f[k]))) errors[k] = "Must be a whole number (0 or more).";
+  }
+  if (!errors.battingPosition && !isBlank(f.battingPosition) && (n("battingPosition") < 1 || n("battingPosition") > 11)) {
+    errors.battingPosition = "Batting position must be 1–11.";
+  }
+  if (!errors.teamTotal && !isBlank(f.teamTotal) && n("teamTotal") < n("runs")) {
+    errors.teamTotal = `Team total can't be less than the ${n("runs")} runs you scored.`;
+  }
+  if (!errors.target && !isBlank(f.target) && f.inningsType !== "Chasing") {
+    warnings.target = "A target only applies when chasing.";
+  } else if (!errors.target && !errors.teamTotal && !isBlank(f.target) && !isBlank(f.teamTotal)) {
+    if (f.result === "Won" && n("teamTotal") < n("target")) warnings.result = `Won, but ${n("teamTotal")} is short of the ${n("target")} target.`;
+    if (f.result === "Lost" && n("teamTotal") >= n("target")) warnings.result = `Lost, but ${n("teamTotal")} reached the ${n("target")} target.`;
+  }
+  if (f.inningsType && !INNINGS_TYPES.includes(f.inningsType)) errors.inningsType = `Unknown innings "${f.inningsType}".`;
+  if (f.result && !MATCH_RESULTS.includes(f.result)) errors.result = `Unknown result "${f.result}".`;
+
+  const pitchBalls = (f.pitchMap || []).filter(isLegalBall).length;
+  if (pitchBalls > legalBalls) errors.pitchMap = `Pitch map has ${pitchBalls} legal deliveries but only ${legalBalls} ball(s) were bowled.`;
+  if (legalBalls > 0 && n("runsConceded") < n("wides") + n("noBalls")) {
+    warnings.runsConceded = "Each wide/no-ball costs at least 1 run; runs conceded look too low.";
+  }
+
+  return { errors, warnings };
+}
+
+// ------------ Ball-by-Ball Log ------------ //
+// Each delivery is stored as a small event object so innings can be replayed:
+//   { type: "dot" } | { type: "run", runs: 1-6 } | { type: "wide", runs } |
+//   { type: "noBall", runs } | { type: "bye", runs } | { type: "wicket", dismissal, runs?, extra? }
+// For wides `runs` are extra runs beyond the 1-run penalty; for no-balls they are runs off the bat.
+// A wicket can fall on a ball that also scored: `extra` says what kind of ball it was ("" off the
+// bat, or one of WICKET_EXTRAS) and `runs` counts the same way, e.g. run out going for the second
+// is { runs: 1 } and stumped off a wide is { extra: "wide" }. "Retired Hurt" is not a delivery.
+export const BALL_TYPES = ["dot", "run", "wide", "noBall", "bye", "wicket"];
+export const WICKET_EXTRAS = ["wide", "noBall", "bye"];
+
+const isRetirement = (ev) => ev.type === "wicket" && ev.dismissal === "Retired Hurt";
+
+// "wide", "noBall", "bye" or "" for a ball off the bat, wickets included.
+const ballExtra = (ev) => (ev.type === "wicket" ? ev.extra || "" : WICKET_EXTRAS.includes(ev.type) ? ev.type : "");
+
+const isBallEvent = (ev) =>
+  isRecord(ev) && BALL_TYPES.includes(ev.type) && (ev.type !== "wicket" || !ev.extra || WICKET_EXTRAS.includes(ev.extra));
+
+export function isLegalBall(ev) {
+  const extra = ballExtra(ev);
+  return extra !== "wide" && extra !== "noBall" && !isRetirement(ev);
+}
+
+export function ballLabel(ev) {
+  switch (ev.type) {
+    case "dot": return "•";
+    case "run": return String(ev.runs);
+    case "wide": return ev.runs ? `${ev.runs + 1}wd` : "wd";
+    case "noBall": return ev.runs ? `${ev.runs}nb` : "nb";
+    case "bye": return `${ev.runs}b`;
+    case "wicket":
+      if (isRetirement(ev)) return "rh";
+      return ev.extra || toInt(ev.runs) ? `${ballLabel({ type: ev.extra || "run", runs: toInt(ev.runs) })}W` : "W";
+    default: return "?";
+  }
+}
+
+// Batter's view of a log: wides are not balls faced, byes are faced but score nothing.
+export function deriveBattingFromBalls(log = []) {
+  const out = { runs: 0, balls: 0, singles: 0, doubles: 0, triples: 0, fours: 0, sixes: 0, dots: 0, dismissal: "Not Out" };
+  for (const ev of log) {
+    const extra = ballExtra(ev);
+    if (ev.type === "wicket") out.dismissal = ev.dismissal || "Caught";
+    if (extra === "wide" || isRetirement(ev)) continue;
+    out.balls += 1;
+    const batRuns = ev.type === "run" || (ev.type === "wicket" && !extra) || extra === "noBall" ? toInt(ev.runs) : 0;
+    out.runs += batRuns;
+    if (batRuns === 1) out.singles += 1;
+    else if (batRuns === 2) out.doubles += 1;
+    else if (batRuns === 3) out.triples += 1;
+    else if (batRuns === 4) out.fours += 1;
+    else if (batRuns === 6) out.sixes += 1;
+    else if (batRuns === 0 && ev.type !== "wicket") out.dots += 1;
+  }
+  return out;
+}
+
+// Bowler's view of a log: byes are not charged, run outs and retirements are not credited, and a
+// maiden is a completed over (6 legal balls) with nothing charged to the bowler.
+export function deriveBowlingFromBalls(log = []) {
+  const out = { bowlBalls: 0, overs: "0.0", runsConceded: 0, wickets: 0, maidens: 0, wides: 0, noBalls: 0 };
+  let overRuns = 0;
+  let overBalls = 0;
+  for (const ev of log) {
+    if (isRetirement(ev)) continue;
+    const extra = ballExtra(ev);
+    let charged = 0;
+    if (extra === "wide") { charged = 1 + toInt(ev.runs); out.wides += 1; }
+    else if (extra === "noBall") { charged = 1 + toInt(ev.runs); out.noBalls += 1; }
+    else if (extra !== "bye") charged = toInt(ev.runs);
+    if (ev.type === "wicket" && ev.dismissal !== "Run Out") out.wickets += 1;
+    out.runsConceded += charged;
+    overRuns += charged;
+    if (isLegalBall(ev)) {
+      out.bowlBalls += 1;
+      overBalls += 1;
+      if (overBalls === 6) {
+        if (overRuns === 0) out.maidens += 1;
+        overBalls = 0;
+        overRuns = 0;
+      }
+    }
+  }
+  out.overs = ballsToOvers(out.bowlBalls);
+  return out;
+}
+
+// Splits a log into overs of six legal deliveries (extras stay in the over they were bowled in).
+export function groupBallsByOver(log = []) {
+  const overs = [];
+  let current = [];
+  let legal = 0;
+  log.forEach((ev, i) => {
+    current.push({ ev, i });
+    if (isLegalBall(ev)) legal += 1;
+    if (legal === 6) {
+      overs.push(current);
+      current = [];
+      legal = 0;
+    }
+  });
+  if (current.length) overs.push(current);
+  return overs;
+}
+
+// ------------ Wagon Wheel ------------ //
+// Scoring shots are stored per innings as entry.wagonWheel = [{ zone, runs }].
+// Zones are 45° slices clockwise from straight down the ground, named for a right-hander;
+// the diagram is mirrored for left-handers but the stored zone names are the same.
+export const WAGON_ZONES = [
+  { key: "midOff", label: "Mid-off / Long-off", side: "off" },
+  { key: "cover", label: "Cover", side: "off" },
+  { key: "point", label: "Point", side: "off" },
+  { key: "thirdMan", label: "Third man", side: "off" },
+  { key: "fineLeg", label: "Fine leg", side: "leg" },
+  { key: "squareLeg", label: "Square leg", side: "leg" },
+  { key: "midWicket", label: "Mid-wicket", side: "leg" },
+  { key: "midOn", label: "Mid-on / Long-on", side: "leg" },
+];
+export const WAGON_ZONE_KEYS = WAGON_ZONES.map((z) => z.key);
+export const WAGON_SHOT_RUNS = [1, 2, 3, 4, 6];
+// Below this many wagon-wheel runs the off/leg split is too noisy for an insight.
+export const WAGON_MIN_RUNS = 30;
+
+// Point at `deg` clockwise from straight (up), `r` from the batter at (c, c).
+export function wagonPoint(deg, r, c, leftHanded) {
+  const rad = ((leftHanded ? -deg : deg) * Math.PI) / 180;
+  return [+(c + r * Math.sin(rad)).toFixed(2), +(c - r * Math.cos(rad)).toFixed(2)];
+}
+
+export function wagonWedgePath(i, r, c, leftHanded) {
+  const [x1, y1] = wagonPoint(i * 45, r, c, leftHanded);
+  const [x2, y2] = wagonPoint((i + 1) * 45, r, c, leftHanded);
+  return `M${c},${c} L${x1},${y1} A${r},${r} 0 0 ${leftHanded ? 0 : 1} ${x2},${y2} Z`;
+}
+
+// Zone under an offset (dx right, dy down) from the batter.
+export function wagonZoneAt(dx, dy, leftHanded) {
+  let deg = (Math.atan2(dx, -dy) * 180) / Math.PI;
+  if (leftHanded) deg = -deg;
+  return WAGON_ZONES[Math.floor((((deg % 360) + 360) % 360) / 45)].key;
+}
+
+// Shots and runs per zone across innings, with each zone's share of the recorded runs.
+export function calcWagonZones(list) {
+  const zones = WAGON_ZONES.map((z) => ({ ...z, shots: 0, runs: 0, fours: 0, sixes: 0, pct: 0 }));
+  const byKey = Object.fromEntries(zones.map((z) => [z.key, z]));
+  let innings = 0;
+  for (const e of list) {
+    if (!e.wagonWheel?.length) continue;
+    innings += 1;
+    for (const s of e.wagonWheel) {
+      const z = byKey[s.zone];
+      if (!z) continue;
+      z.shots += 1;
+      z.runs += toInt(s.runs);
+      if (s.runs === 4) z.fours += 1;
+      if (s.runs === 6) z.sixes += 1;
+    }
+  }
+  const runs = zones.reduce((a, z) => a + z.runs, 0);
+  for (const z of zones) z.pct = runs ? +((z.runs / runs) * 100).toFixed(1) : 0;
+  const offRuns = zones.filter((z) => z.side === "off").reduce((a, z) => a + z.runs, 0);
+  return { zones, innings, runs, offPct: runs ? +((offRuns / runs) * 100).toFixed(1) : null };
+}
+
+// ------------ Pitch Map ------------ //
+// Deliveries tagged with where they pitched: entry.pitchMap = [{ ...ballEvent, line, length }],
+// using the same event shape as the ball-by-ball log so outcomes are charged the same way.
+// Lines are named from the batter's point of view, so they read the same for either hand.
+export const PITCH_LINES = [
+  { key: "wideOff", label: "Wide outside off" },
+  { key: "outsideOff", label: "Outside off" },
+  { key: "stumps", label: "Stumps" },
+  { key: "pads", label: "Pads" },
+  { key: "downLeg", label: "Down leg" },
+];
+export const PITCH_LENGTHS = [
+  { key: "yorker", label: "Yorker" },
+  { key: "full", label: "Full" },
+  { key: "good", label: "Good" },
+  { key: "short", label: "Short" },
+  { key: "bouncer", label: "Bouncer" },
+];
+export const PITCH_LINE_KEYS = PITCH_LINES.map((l) => l.key);
+export const PITCH_LENGTH_KEYS = PITCH_LENGTHS.map((l) => l.key);
+
+// Charged runs, legal balls and wickets for a group of tagged deliveries.
+function pitchBucket(deliveries) {
+  const b = deriveBowlingFromBalls(deliveries);
+  return {
+    deliveries: deliveries.length,
+    balls: b.bowlBalls,
+    runs: b.runsConceded,
+    wickets: b.wickets,
+    economy: calcEconomyFromBalls(b.runsConceded, b.bowlBalls),
+    wicketPct: deliveries.length ? +((b.wickets / deliveries.length) * 100).toFixed(1) : 0,
+    ballsPerWicket: b.wickets ? +(b.bowlBalls / b.wickets).toFixed(1) : null,
+  };
+}
+
+// Heatmap cells keyed `${line}:${length}` plus per-length and per-line splits across spells.
+export function calcPitchMap(list) {
+  const all = list.flatMap((e) => e.pitchMap || []);
+  const cells = {};
+  for (const line of PITCH_LINE_KEYS) {
+    for (const length of PITCH_LENGTH_KEYS) {
+      cells[`${line}:${length}`] = pitchBucket(all.filter((d) => d.line === line && d.length === length));
+    }
+  }
+  return {
+    deliveries: all.length,
+    spells: list.filter((e) => e.pitchMap?.length).length,
+    cells,
+    byLength: PITCH_LENGTHS.map((l) => ({ ...l, ...pitchBucket(all.filter((d) => d.length === l.key)) })),
+    byLine: PITCH_LINES.map((l) => ({ ...l, ...pitchBucket(all.filter((d) => d.line === l.key)) })),
+  };
+}
+
+// ------------ Quick Entry ------------ //
+// Shorthand for the "Add / Edit Match" form, tokens separated by spaces or commas:
+//   45(32) 45*(32) 45*    runs(balls), * = not out   4x5 6x2 1x20 2x4 3x1 0x12   fours, sixes, ... dots
+//   c b lbw st hw         how you were out, also "run out", "not out", "retired hurt"
+//   4-0-28-2              overs-maidens-runs-wkts    1w / 1wd, 1nb              wides, no-balls
+//   ct 2ct ro dr mf       catches, run-outs, drops, misfields (count optional, default 1)
+//   T20, ODI, ...         format                     2024-05-18                 date
+// A line ending in four or more numbers is read as a pasted scorecard row instead
+// (batting: R B [M] 4s 6s [SR], bowling: O M R W [Econ ...] [Wd Nb]).
+const QUICK_SCORING = { 0: "dots", 1: "singles", 2: "doubles", 3: "triples", 4: "fours", 6: "sixes" };
+const QUICK_FIELDING = { ct: "catches", ro: "runOuts", dr: "drops", mf: "misfields" };
+const QUICK_FIELD_LABELS = { catches: ["catch", "catches"], runOuts: ["run-out", "run-outs"], drops: ["drop", "drops"], misfields: ["misfield", "misfields"] };
+const QUICK_DISMISSALS = { c: "Caught", "c&b": "Caught", b: "Bowled", lbw: "LBW", st: "Stumped", hw: "Hit Wicket", no: "Not Out" };
+const QUICK_PHRASES = [
+  [/\bnot\s+out\b/i, "Not Out"],
+  [/\brun\s*out\b/i, "Run Out"],
+  [/\bretired(\s+hurt)?\b/i, "Retired Hurt"],
+  [/\bhit\s+wicket\b/i, "Hit Wicket"],
+];
+
+// How a scorecard row's dismissal column reads ("c Smith b Jones", "lbw b Khan", "not out", ...).
+// The single letters only count after the name, so an initial like "B Lee" isn't "bowled".
+function scorecardDismissal(text) {
+  for (const [re, d] of QUICK_PHRASES) if (re.test(text)) return d;
+  if (/\blbw\b/i.test(text)) return "LBW";
+  if (/\sst\s/i.test(text)) return "Stumped";
+  if (/\sc(\s|&)/i.test(text)) return "Caught";
+  if (/\sb\s/i.test(text)) return "Bowled";
+  return null;
+}
+
+const near = (a, b, tolerance) => Math.abs(a - b) <= tolerance;
+
+function parseScorecardRow(line) {
+  const words = line.trim().split(/\s+/);
+  let i = words.length;
+  while (i > 0 && /^\d+(\.\d+)?\*?$/.test(words[i - 1])) i -= 1;
+  const nums = words.slice(i);
+  if (nums.length < 4) return null;
+  const text = words.slice(0, i).join(" ");
+  const notOut = nums[0].endsWith("*");
+  const n = nums.map((v) => Number(v.replace("*", "")));
+  const dismissal = notOut ? "Not Out" : scorecardDismissal(text);
+  const ignored = text ? [{ text, label: dismissal ? `dismissal: ${dismissal}` : "name (ignored)", ok: true }] : [];
+
+  // A strike rate that matches R/B (or an economy that matches R/O) tells the two row kinds apart.
+  const last = n[n.length - 1];
+  const looksBatting = String(nums[nums.length - 1]).includes(".") && n[1] > 0 && near((n[0] / n[1]) * 100, last, 0.6);
+  const bowlBalls = oversToBalls(nums[0]);
+  const looksBowling = n.length >= 5 && bowlBalls > 0 && near((n[2] * 6) / bowlBalls, n[4], 0.06);
+
+  const cols = n.length - (looksBatting ? 1 : 0); // drop SR
+  const [runs, balls] = n;
+  const [fours, sixes] = cols >= 5 ? [n[3], n[4]] : [n[2], n[3]]; // R B M 4s 6s vs R B 4s 6s
+  const battingFits = fours * 4 + sixes * 6 <= runs && fours + sixes <= balls && (balls > 0 ? runs <= balls * 6 : runs === 0);
+  const [, maidens, runsConceded, wickets] = n;
+  const bowlingFits = /^\d+(\.[0-5])?$/.test(nums[0]) && bowlBalls > 0 && maidens <= Math.floor(bowlBalls / 6) && wickets <= Math.min(10, bowlBalls);
+
+  // Without a strike rate or economy to go on, a row that fits both readings (and has no dismissal
+  // to say it's batting) is flagged rather than guessed at.
+  let kind = looksBatting ? "batting" : looksBowling ? "bowling" : null;
+  if (!kind && battingFits && (dismissal || !bowlingFits)) kind = "batting";
+  else if (!kind && bowlingFits && !battingFits) kind = "bowling";
+  if (!kind) {
+    const why = battingFits && bowlingFits
+      ? `ambiguous: ${runs}(${balls}) batting or ${nums[0]}-${maidens}-${runsConceded}-${wickets} bowling? Add the SR/econ column or a dismissal`
+      : "doesn't fit a batting or bowling row";
+    return { fields: {}, parts: [...(text ? [{ text, label: "name (ignored)", ok: true }] : []), { text: nums.join(" "), label: why, ok: false }] };
+  }
+
+  if (kind === "batting") {
+    const fields = { runs, balls, fours, sixes, ...(dismissal ? { dismissal } : {}) };
+    return { fields, parts: [...ignored, { text: nums.join(" "), label: `batting row: ${runs}(${balls}), ${fours}×4, ${sixes}×6`, ok: battingFits }] };
+  }
+  const fields = { overs: nums[0], maidens, runsConceded, wickets };
+  // Extras are the last two columns when the row carries more than O M R W Econ (cricinfo adds 0s 4s 6s Wd Nb).
+  if (n.length >= 7) Object.assign(fields, { wides: n[n.length - 2], noBalls: n[n.length - 1] });
+  const extras = fields.wides != null ? `, ${fields.wides}wd ${fields.noBalls}nb` : "";
+  return { fields, parts: [...(text ? [{ text, label: "bowler (ignored)", ok: true }] : []), { text: nums.join(" "), label: `bowling row: ${nums[0]}-${maidens}-${runsConceded}-${wickets}${extras}`, ok: bowlingFits }] };
+}
+
+function parseQuickToken(token) {
+  const t = token.toLowerCase();
+  let m;
+  if ((m = t.match(/^(\d+)(\*?)\((\d+)\)(\*?)$/))) {
+    const notOut = m[2] || m[4];
+    return { fields: { runs: +m[1], balls: +m[3], ...(notOut ? { dismissal: "Not Out" } : {}) }, label: `${m[1]} runs off ${m[3]}${notOut ? ", not out" : ""}` };
+  }
+  if ((m = t.match(/^(\d+)\*$/))) return { fields: { runs: +m[1], dismissal: "Not Out" }, label: `${m[1]} runs, not out` };
+  if (/^\d+$/.test(t)) return { fields: { runs: +t }, label: `${t} runs` };
+  if ((m = t.match(/^([0-46])x(\d+)$/))) return { fields: { [QUICK_SCORING[m[1]]]: +m[2] }, label: `${m[2]} × ${m[1] === "0" ? "dot" : m[1]}` };
+  if ((m = t.match(/^(\d+(?:\.[0-5])?)-(\d+)-(\d+)-(\d+)$/))) {
+    return { fields: { overs: m[1], maidens: +m[2], runsConceded: +m[3], wickets: +m[4] }, label: `${m[1]} ov, ${m[2]} mdn, ${m[3]} runs, ${m[4]} wkt` };
+  }
+  if ((m = t.match(/^(\d+)(wd?|nb)$/))) {
+    return m[2] === "nb" ? { fields: { noBalls: +m[1] }, label: `${m[1]} no-ball(s)` } : { fields: { wides: +m[1] }, label: `${m[1]} wide(s)` };
+  }
+  if ((m = t.match(/^(\d*)(ct|ro|dr|mf)$/))) {
+    const field = QUICK_FIELDING[m[2]];
+    const count = m[1] === "" ? 1 : +m[1];
+    return { fields: { [field]: count }, label: `${count} ${QUICK_FIELD_LABELS[field][count === 1 ? 0 : 1]}` };
+  }
+  if (QUICK_DISMISSALS[t]) return { fields: { dismissal: QUICK_DISMISSALS[t] }, label: QUICK_DISMISSALS[t] };
+  if (/^\d{4}-\d{2}-\d{2}$/.test(t) && !Number.isNaN(new Date(t).getTime())) return { fields: { date: t }, label: `date ${t}` };
+  const format = DEFAULT_FORMATS.find((f) => f.toLowerCase() === t);
+  if (format) return { fields: { format }, label: `format ${format}` };
+  return null;
+}
+
+/**
+ * Reads shorthand or pasted scorecard rows into form fields.
+ * Returns { fields, parts } where `parts` lists every piece of the input in order with
+ * `ok: false` for the ones that weren't understood, so the form can show both before saving.
+ * Numbers come back as numbers and overs as a notation string; later pieces win on clashes.
+ */
+export function parseQuickEntry(text) {
+  const fields = {};
+  const parts = [];
+  for (const raw of String(text || "").split(/\r?\n/)) {
+    let line = raw.replace(/\t/g, " ").trim();
+    if (!line) continue;
+    const row = parseScorecardRow(line);
+    if (row) {
+      Object.assign(fields, row.fields);
+      parts.push(...row.parts);
+      continue;
+    }
+    // Multi-word dismissals are taken out first so "not out" isn't read as two unknown tokens.
+    for (const [re, dismissal] of QUICK_PHRASES) {
+      const m = line.match(re);
+      if (!m) continue;
+      fields.dismissal = dismissal;
+      parts.push({ text: m[0], label: dismissal, ok: true });
+      line = line.replace(re, " ");
+    }
+    for (const token of line.split(/[\s,]+/).filter(Boolean)) {
+      const hit = parseQuickToken(token);
+      if (hit) Object.assign(fields, hit.fields);
+      parts.push(hit ? { text: token, label: hit.label, ok: true } : { text: token, ok: false });
+    }
+  }
+  return { fields, parts };
+}
+
+// ------------ Schema & Migrations ------------ //
+// Schema history:
+//   0 – legacy index.html tracker (`cricketEntries`): bare array, no ids, numeric overs, no format/dismissal.
+//   1 – first React version (`cricket_tracker_entries_v1`): bare array of entries with ids.
+//   2 – versioned document { schemaVersion, entries, players? }; entries carry playerId and ball logs.
+//   3 – sync: entries carry rev/revs/createdAt/updatedAt/deviceId once saved; exports add `tombstones`.
+//   4 – seasons and competitions: entries carry competitionId; documents add `seasons` and `competitions`.
+//   5 – innings context: battingPosition, teamTotal, target ("" = not recorded), inningsType, result.
+//   6 – achievements are no longer stored on entries; detectAchievements works them out when shown.
+export const isRecord = (e) => e != null && typeof e === "object" && !Array.isArray(e);
+
+export function detectSchemaVersion(data) {
+  if (Array.isArray(data)) {
+    const records = data.filter(isRecord);
+    return records.length && records.every((e) => !("id" in e)) ? 0 : 1;
+  }
+  if (data && typeof data === "object" && Number.isInteger(data.schemaVersion)) return data.schemaVersion;
+  return null;
+}
+
+// MIGRATIONS[n] turns a v{n} document into v{n+1}. Non-object records are passed through for validation to reject.
+const MIGRATIONS = {
+  0: (doc) => ({
+    schemaVersion: 1,
+    entries: doc.entries.map((e, i) => (isRecord(e) ? {
+      ...e,
+      // Deterministic ids so importing the same legacy file twice is detected as duplicates.
+      id: `legacy-${i}-${e.date || "undated"}`,
+      time: "",
+      venue: "",
+      format: e.matchType === "Practice" ? "Practice" : "",
+      matchType: e.matchType === "Practice" ? "Practice Match" : e.matchType || "Friendly",
+      dismissal: "Not Out", // the legacy form never recorded how the batter got out
+      overs: e.overs ? String(e.overs) : "",
+      fieldingNotes: e.otherNotes || "",
+    } : e)),
+  }),
+  1: (doc) => ({
+    schemaVersion: 2,
+    players: doc.players || [],
+    entries: doc.entries.map((e) => (isRecord(e) ? { playerId: "", battingBalls: [], bowlingBalls: [], ...e } : e)),
+  }),
+  // rev, createdAt, updatedAt and deviceId stay absent until an entry is next saved on a device;
+  // tombstones match such entries by content hash instead.
+  2: (doc) => ({
+    ...doc,
+    schemaVersion: 3,
+    tombstones: doc.tombstones || [],
+    entries: doc.entries.map((e) => (isRecord(e) ? { revs: [], ...e } : e)),
+  }),
+  3: (doc) => ({
+    ...doc,
+    schemaVersion: 4,
+    seasons: doc.seasons || [],
+    competitions: doc.competitions || [],
+    entries: doc.entries.map((e) => (isRecord(e) ? { competitionId: "", ...e } : e)),
+  }),
+  4: (doc) => ({
+    ...doc,
+    schemaVersion: 5,
+    entries: doc.entries.map((e) => (isRecord(e) ? { ...Object.fromEntries(CONTEXT_FIELDS.map((k) => [k, ""])), ...e } : e)),
+  }),
+  5: (doc) => ({
+    ...doc,
+    schemaVersion: 6,
+    entries: doc.entries.map((e) => {
+      if (!isRecord(e)) return e;
+      const { achievements, ...rest } = e;
+      return rest;
+    }),
+  }),
+};
+
+// Brings any known export/storage shape up to SCHEMA_VERSION. Throws on unknown or newer files.
+export function migrateData(data) {
+  let version = detectSchemaVersion(data);
+  if (version == null) throw new Error("Unrecognised file: expected a tracker export or an array of entries.");
+  if (version > SCHEMA_VERSION) throw new Error(`File uses schema v${version}; this version of the app understands up to v${SCHEMA_VERSION}.`);
+  let doc = Array.isArray(data) ? { schemaVersion: version, entries: data } : { ...data };
+  if (!Array.isArray(doc.entries)) throw new Error("File has no entries list.");
+  while (version < SCHEMA_VERSION) {
+    doc = MIGRATIONS[version](doc);
+    version = doc.schemaVersion;
+  }
+  return doc;
+}
+
+// Same coercion addOrUpdateEntry applies to the form: whole numbers, cricket-notation overs, ball logs win.
+export function coerceEntry(e) {
+  const out = {
+    ...e,
+    id: e.id ?? crypto.randomUUID(),
+    date: normalizeDate(e.date),
+    playerId: e.playerId || "",
+    competitionId: e.competitionId || "",
+    overs: e.overs == null || e.overs === "" ? "" : String(e.overs),
+    battingBalls: Array.isArray(e.battingBalls) ? e.battingBalls : [],
+    bowlingBalls: Array.isArray(e.bowlingBalls) ? e.bowlingBalls : [],
+    wagonWheel: Array.isArray(e.wagonWheel) ? e.wagonWheel : [],
+    pitchMap: Array.isArray(e.pitchMap) ? e.pitchMap : [],
+  };
+  // Achievements depend on the other entries, so they are worked out when shown, never stored.
+  delete out.achievements;
+  for (const k of NUMERIC_FIELDS) out[k] = toInt(e[k]);
+  for (const k of CONTEXT_NUMBERS) out[k] = optionalInt(e[k]);
+  out.inningsType = e.inningsType || "";
+  out.result = e.result || "";
+  if (out.battingBalls.length) Object.assign(out, deriveBattingFromBalls(out.battingBalls));
+  if (out.bowlingBalls.length) Object.assign(out, deriveBowlingFromBalls(out.bowlingBalls));
+  return out;
+}
+
+// Reasons an imported (already migrated) record can't be accepted; empty when it is fine.
+export function checkImportedEntry(e) {
+  if (!isRecord(e)) return ["Not an entry object."];
+  const reasons = [...(e.__problems || [])];
+  if (typeof e.id !== "string" || !e.id) reasons.push("Missing id.");
+  if (!isISODate(normalizeDate(e.date))) reasons.push("Missing or invalid date.");
+  if (e.dismissal && !DISMISSALS.includes(e.dismissal)) reasons.push(`Unknown dismissal "${e.dismissal}".`);
+  for (const key of ["battingBalls", "bowlingBalls"]) {
+    if (e[key] == null) continue;
+    if (!Array.isArray(e[key]) || e[key].some((ev) => !isBallEvent(ev))) {
+      reasons.push(`${key} is not a valid ball log.`);
+    }
+  }
+  if (e.wagonWheel != null && (!Array.isArray(e.wagonWheel) || e.wagonWheel.some((s) => !isRecord(s) || !WAGON_ZONE_KEYS.includes(s.zone) || !WAGON_SHOT_RUNS.includes(s.runs)))) {
+    reasons.push("wagonWheel has unknown zones or run values.");
+  }
+  if (e.pitchMap != null && (!Array.isArray(e.pitchMap) || e.pitchMap.some((d) => !isRecord(d) || !BALL_TYPES.includes(d.type) || !PITCH_LINE_KEYS.includes(d.line) || !PITCH_LENGTH_KEYS.includes(d.length)))) {
+    reasons.push("pitchMap has unknown deliveries, lines or lengths.");
+  }
+  const { errors } = validateEntry({ ...e, date: e.date || "" });
+  for (const [field, msg] of Object.entries(errors)) if (field !== "date") reasons.push(`${field}: ${msg}`);
+  return reasons;
+}
+
+// ------------ Season Summary ------------ //
+/**
+ * Everything the dashboard's Quick Stats, batting/bowling/fielding panels and insight cards show,
+ * for any list of entries. `rules` defaults to the built-in insight rules.
+ */
+export function summarizeSeason(entries, { window = 5, rules = DEFAULT_INSIGHT_RULES, minBalls = DEFAULT_RECORD_MIN_BALLS, benchmarks } = {}) {
+  const t = sumTotals(entries);
+  const m = computeInsightMetrics(entries, window);
+  const sorted = [...entries].sort(byDate);
+  const records = calcRecords(entries, minBalls);
+  const bowling = calcBowlingStats(entries);
+  const highest = records.batting.highest;
+  return {
+    matches: t.matches,
+    from: sorted[0]?.date ?? null,
+    to: sorted[sorted.length - 1]?.date ?? null,
+    batting: {
+      innings: records.batting.innings,
+      runs: t.runs,
+      balls: t.balls,
+      outs: t.outs,
+      average: calcBattingAverage(t.runs, t.outs),
+      strikeRate: calcStrikeRate(t.runs, t.balls),
+      boundaryPct: m.boundaryPct ?? 0,
+      dotPct: m.dotPct ?? 0,
+      fours: t.fours,
+      sixes: t.sixes,
+      highest: highest ? `${highest.runs}${isOut(highest) ? "" : "*"}` : null,
+      fifties: records.batting.fifties,
+      hundreds: records.batting.hundreds,
+    },
+    bowling: {
+      innings: bowling.innings,
+      overs: bowling.overs,
+      runs: bowling.runs,
+      wickets: bowling.wickets,
+      average: bowling.average,
+      economy: bowling.economy,
+      strikeRate: bowling.strikeRate,
+      best: bowling.best ? bowling.bestFigures : null,
+      maidens: bowling.maidens,
+      extrasPerOver: bowling.extrasPerOver,
+    },
+    fielding: { catches: t.catches, runOuts: t.runOuts, drops: t.drops, misfields: t.misfields },
+    formIndex: m.formIndex,
+    skillScores: calcSkillScores(entries, benchmarks),
+    insights: buildInsights(entries, rules, window),
+  };
+}
+
+// summarizeSeason per format ("Other" for entries without one), keyed by format name.
+export function summarizeByFormat(entries, options) {
+  const groups = {};
+  for (const e of entries) (groups[e.format || "Other"] ||= []).push(e);
+  return Object.fromEntries(Object.entries(groups).map(([format, list]) => [format, summarizeSeason(list, options)]));
+}
+
+// ------------ Seasons & Competitions ------------ //
+// Seasons are named date ranges { id, name, from, to }; competitions { id, name, seasonId, from, to }
+// sit inside one. An entry names its competition with `competitionId`; its season is the
+// competition's, or (for unassigned entries) whichever season's dates contain the match.
+export const UNASSIGNED_COMPETITION = "";
+
+export const inDateRange = (date, from, to) => !!date && (!from || date >= from) && (!to || date <= to);
+
+export function entrySeasonId(e, seasons, competitions) {
+  const comp = e.competitionId ? competitions.find((c) => c.id === e.competitionId) : null;
+  if (comp?.seasonId) return comp.seasonId;
+  return seasons.find((s) => inDateRange(e.date, s.from, s.to))?.id ?? null;
+}
+
+// The season today falls in, else the most recent one that has started.
+export function currentSeason(seasons, today) {
+  const started = seasons.filter((s) => !s.from || s.from <= today);
+  return started.find((s) => inDateRange(today, s.from, s.to))
+    ?? started.sort((a, b) => String(b.from).localeCompare(String(a.from)))[0]
+    ?? null;
+}
+
+// Competitions running on `date` – the ones worth offering first when an entry is logged.
+export const competitionsOn = (date, competitions) => competitions.filter((c) => inDateRange(date, c.from, c.to));
+
+/**
+ * summarizeSeason per competition, in the order given, for competitions with at least one match,
+ * plus { id: UNASSIGNED_COMPETITION, name: "Unassigned" } for the rest: [{ id, name, summary }].
+ */
+export function summarizeCompetitions(entries, competitions, options) {
+  const known = new Set(competitions.map((c) => c.id));
+  const groups = [...competitions, { id: UNASSIGNED_COMPETITION, name: "Unassigned" }].map((c) => ({
+    id: c.id,
+    name: c.name,
+    list: entries.filter((e) => (known.has(e.competitionId) ? e.competitionId : UNASSIGNED_COMPETITION) === c.id),
+  }));
+  return groups.filter((g) => g.list.length).map(({ id, name, list }) => ({ id, name, summary: summarizeSeason(list, options) }));
+}
+
+// ------------ Period Comparison ------------ //
+// A period is { kind: "range", from, to } | { kind: "season", year } | { kind: "season", season, seasons, competitions }
+// | { kind: "recent", n, skip } ("recent" = the n most recent matches after skipping the newest `skip`,
+// so last-N vs previous-N is { n, skip: 0 } against { n, skip: n }). A named `season` uses entrySeasonId.
+export const COMPARE_MIN_SAMPLES = 3;
+
+export function periodEntries(list, period) {
+  if (period.kind === "season" && period.season) {
+    return list.filter((e) => entrySeasonId(e, period.seasons || [period.season], period.competitions || []) === period.season.id);
+  }
+  if (period.kind === "season") return list.filter((e) => String(e.date || "").slice(0, 4) === String(period.year));
+  if (period.kind === "recent") {
+    const n = Math.max(1, toInt(period.n, 5));
+    const skip = Math.max(0, toInt(period.skip));
+    return [...list].sort(byDate).reverse().slice(skip, skip + n);
+  }
+  return applyFilters(list, { ...EMPTY_FILTERS, from: period.from || "", to: period.to || "" });
+}
+
+// Calendar years with at least one entry, newest first.
+export function entrySeasons(list) {
+  return [...new Set(list.map((e) => String(e.date || "").slice(0, 4)).filter((y) => /^\d{4}$/.test(y)))].sort().reverse();
+}
+
+const ratio = (num, den, digits = 2) => (den ? +(num / den).toFixed(digits) : null);
+
+// `better` is the direction that counts as an improvement. `test` says how sampling noise is judged:
+//   mean – Welch z on the per-innings values from `per(e)` (null = innings not counted)
+//   rate – Poisson rate z on `count / exposure` summed over the period
+export const COMPARE_METRICS = [
+  { key: "matches", label: "Matches", group: "Overall", value: (l) => l.length },
+  { key: "runs", label: "Runs", group: "Batting", better: "up", value: (l) => sumTotals(l).runs },
+  { key: "battingAverage", label: "Average", group: "Batting", better: "up",
+    value: (l) => { const t = sumTotals(l); return t.balls || t.runs ? calcBattingAverage(t.runs, t.outs) : null; },
+    test: { kind: "mean", per: (e) => (hasBatted(e) ? e.runs || 0 : null) } },
+  { key: "strikeRate", label: "Strike rate", group: "Batting", better: "up",
+    value: (l) => { const t = sumTotals(l); return t.balls ? calcStrikeRate(t.runs, t.balls) : null; },
+    test: { kind: "mean", per: (e) => (e.balls ? ((e.runs || 0) / e.balls) * 100 : null) } },
+  { key: "boundaryPct", label: "Boundary % of runs", group: "Batting", better: "up",
+    value: (l) => { const t = sumTotals(l); return ratio((t.fours * 4 + t.sixes * 6) * 100, t.runs, 1); },
+    test: { kind: "mean", per: (e) => (e.runs ? (((e.fours || 0) * 4 + (e.sixes || 0) * 6) / e.runs) * 100 : null) } },
+  { key: "dotPct", label: "Dot ball %", group: "Batting", better: "down",
+    value: (l) => { const t = sumTotals(l); return ratio(t.dots * 100, t.balls, 1); },
+    test: { kind: "mean", per: (e) => (e.balls ? ((e.dots || 0) / e.balls) * 100 : null) } },
+  { key: "wickets", label: "Wickets", group: "Bowling", better: "up", value: (l) => sumTotals(l).wickets },
+  { key: "economy", label: "Economy", group: "Bowling", better: "down",
+    value: (l) => { const t = sumTotals(l); return t.bowlBalls ? calcEconomyFromBalls(t.runsConceded, t.bowlBalls) : null; },
+    test: { kind: "mean", per: (e) => (entryBowlBalls(e) ? calcEconomyFromBalls(e.runsConceded || 0, entryBowlBalls(e)) : null) } },
+  { key: "bowlingAverage", label: "Bowling average", group: "Bowling", better: "down",
+    value: (l) => calcBowlingStats(l).average,
+    test: { kind: "rate", count: (l) => sumTotals(l).wickets, exposure: (l) => sumTotals(l).runsConceded } },
+  { key: "bowlingStrikeRate", label: "Balls per wicket", group: "Bowling", better: "down",
+    value: (l) => calcBowlingStats(l).strikeRate,
+    test: { kind: "rate", count: (l) => sumTotals(l).wickets, exposure: (l) => sumTotals(l).bowlBalls } },
+  { key: "extrasPerOver", label: "Extras / over", group: "Bowling", better: "down",
+    value: (l) => (sumTotals(l).bowlBalls ? calcBowlingStats(l).extrasPerOver : null),
+    test: { kind: "mean", per: (e) => (entryBowlBalls(e) ? (((e.wides || 0) + (e.noBalls || 0)) * 6) / entryBowlBalls(e) : null) } },
+  { key: "catchesPerMatch", label: "Catches / match", group: "Fielding", better: "up",
+    value: (l) => ratio(sumTotals(l).catches, l.length),
+    test: { kind: "rate", count: (l) => sumTotals(l).catches, exposure: (l) => l.length } },
+  { key: "drops", label: "Drops", group: "Fielding", better: "down", value: (l) => sumTotals(l).drops },
+];
+
+function meanAndVariance(xs) {
+  const mean = xs.reduce((s, x) => s + x, 0) / xs.length;
+  const variance = xs.reduce((s, x) => s + (x - mean) ** 2, 0) / (xs.length - 1);
+  return { mean, variance };
+}
+
+/**
+ * How far apart two periods are in units of sampling noise. Returns { verdict, z, n: [na, nb] } with
+ * verdict "clear" (|z| ≥ 1.96, roughly 95%), "possible" (|z| ≥ 1.28, roughly 80%), "noise",
+ * or "small" when either side has fewer than COMPARE_MIN_SAMPLES innings (or events, for rates).
+ * These are normal approximations – a guide to "is this more than a couple of good knocks", not a proof.
+ */
+function compareSignificance(test, a, b) {
+  let z;
+  let n;
+  if (test.kind === "mean") {
+    const xs = a.map(test.per).filter((v) => v != null);
+    const ys = b.map(test.per).filter((v) => v != null);
+    n = [xs.length, ys.length];
+    if (Math.min(...n) < COMPARE_MIN_SAMPLES) return { verdict: "small", z: null, n };
+    const p = meanAndVariance(xs);
+    const q = meanAndVariance(ys);
+    const se = Math.sqrt(p.variance / xs.length + q.variance / ys.length);
+    z = se ? (q.mean - p.mean) / se : q.mean === p.mean ? 0 : Infinity;
+  } else {
+    const [ca, cb] = [test.count(a), test.count(b)];
+    const [ea, eb] = [test.exposure(a), test.exposure(b)];
+    n = [ca, cb];
+    if (!ea || !eb || ca + cb < COMPARE_MIN_SAMPLES * 2) return { verdict: "small", z: null, n };
+    const se = Math.sqrt(ca / ea ** 2 + cb / eb ** 2);
+    z = se ? (cb / eb - ca / ea) / se : 0;
+  }
+  const abs = Math.abs(z);
+  return { verdict: abs >= 1.96 ? "clear" : abs >= 1.28 ? "possible" : "noise", z: Number.isFinite(z) ? +z.toFixed(2) : null, n };
+}
+
+/**
+ * Every COMPARE_METRICS row for period A (earlier/baseline) against period B:
+ * { key, label, group, a, b, diff, pct, improved, significance }. `pct` is null when A is 0 or missing,
+ * `improved` null for metrics without a better direction or when nothing changed.
+ */
+export function comparePeriods(a, b) {
+  return COMPARE_METRICS.map((m) => {
+    const va = m.value(a);
+    const vb = m.value(b);
+    const diff = va != null && vb != null ? +(vb - va).toFixed(2) : null;
+    const pct = diff != null && va ? +((diff / Math.abs(va)) * 100).toFixed(1) : null;
+    const improved = !m.better || !diff ? null : (diff > 0) === (m.better === "up");
+    const significance = m.test ? compareSignificance(m.test, a, b) : null;
+    return { key: m.key, label: m.label, group: m.group, a: va, b: vb, diff, pct, improved, significance };
+  });
+}
+
+// Skill radar rows with both periods' scores, for two overlaid polygons.
+export function compareSkillRadar(a, b, benchmarks) {
+  const sa = calcSkillScores(a, benchmarks);
+  const sb = calcSkillScores(b, benchmarks);
+  return SKILL_AXES.map(([key, k]) => ({ key, a: sa[k], b: sb[k] }));
+}
+
+// ------------ Bowling Workload ------------ //
+// Every delivery counts towards load, so wides and no-balls are added to the legal balls, and net
+// sessions count like matches. Acute load is the last 7 days; chronic is the last 28 days as a
+// weekly average; their ratio (ACWR) is the usual injury-risk signal for fast bowlers.
+export const WORKLOAD_SAFE_BAND = [0.8, 1.3];
+export const DEFAULT_WORKLOAD_SETTINGS = { weeklyLimit: 240, spikeRatio: 1.5 };
+
+const DAY_MS = 86400000;
+const addDays = (iso, n) => new Date(Date.parse(`${iso}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10);
+
+export const entryWorkloadBalls = (e) => entryBowlBalls(e) + (e.wides || 0) + (e.noBalls || 0);
+
+/**
+ * Day-by-day load from the first day with bowling to `today` (entries without a YYYY-MM-DD date are skipped):
+ * [{ date, balls, acute, chronic, ratio }]. `chronic` is balls per week over the last 28 days;
+ * `ratio` stays null for the first four weeks, while there is no chronic base to compare with.
+ */
+export function calcWorkload(list, today) {
+  const perDay = {};
+  for (const e of list) {
+    const balls = entryWorkloadBalls(e);
+    if (balls && isISODate(e.date)) perDay[e.date] = (perDay[e.date] || 0) + balls;
+  }
+  const days = Object.keys(perDay).sort();
+  if (!days.length) return [];
+  const end = today && today > days[days.length - 1] ? today : days[days.length - 1];
+  const series = [];
+  for (let d = days[0], i = 0; d <= end; d = addDays(d, 1), i++) {
+    const balls = perDay[d] || 0;
+    const window = (n) => series.slice(-(n - 1)).reduce((s, p) => s + p.balls, 0) + balls;
+    const acute = window(7);
+    const chronic = +(window(28) / 4).toFixed(1);
+    const ratio = i >= 27 && chronic ? +(acute / chronic).toFixed(2) : null;
+    series.push({ date: d, balls, acute, chronic, ratio });
+  }
+  return series;
+}
+
+// Balls per calendar week (Monday start) from a calcWorkload series: [{ week, balls }].
+export function weeklyWorkload(series) {
+  const weeks = new Map();
+  for (const p of series) {
+    const dow = (new Date(`${p.date}T00:00:00Z`).getUTCDay() + 6) % 7;
+    const week = addDays(p.date, -dow);
+    weeks.set(week, (weeks.get(week) || 0) + p.balls);
+  }
+  return [...weeks].map(([week, balls]) => ({ week, balls }));
+}
+
+/**
+ * Insight cards (same shape as buildInsights) for the latest day of a calcWorkload series:
+ * a critical card when the ACWR is at or over `spikeRatio`, a warning above the safe band,
+ * and one when the last 7 days went over `weeklyLimit` balls. `who` prefixes the messages.
+ */
+export function workloadInsights(series, { weeklyLimit, spikeRatio } = DEFAULT_WORKLOAD_SETTINGS, who = "") {
+  const now = series[series.length - 1];
+  if (!now) return [];
+  const out = [];
+  const prefix = who ? `${who}: ` : "";
+  const limit = parseThreshold(weeklyLimit);
+  const spike = parseThreshold(spikeRatio) ?? DEFAULT_WORKLOAD_SETTINGS.spikeRatio;
+  if (now.ratio != null && now.ratio >= spike) {
+    out.push({ area: "Workload", severity: "critical", msg: `${prefix}workload spike – acute:chronic ratio ${now.ratio} (${now.acute} balls this week vs ${now.chronic} a week over the last 4). Ease off until it drops below ${WORKLOAD_SAFE_BAND[1]}.` });
+  } else if (now.ratio != null && now.ratio > WORKLOAD_SAFE_BAND[1]) {
+    out.push({ area: "Workload", severity: "warning", msg: `${prefix}acute:chronic ratio ${now.ratio} is above the ${WORKLOAD_SAFE_BAND.join("–")} safe band. Build up load more gradually.` });
+  }
+  if (limit && now.acute > limit) {
+    out.push({ area: "Workload", severity: "warning", msg: `${prefix}${now.acute} balls bowled in the last 7 days, over the weekly limit of ${limit}.` });
+  }
+  return out;
+}
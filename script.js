@@ -1,8 +1,9 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { motion } from "framer-motion";
 import {
   LineChart,
   Line,
+  ComposedChart,
   BarChart,
   Bar,
   XAxis,
@@ -19,14 +20,32 @@ import {
   PolarRadiusAxis,
   Radar,
   Legend,
+  ReferenceArea,
+  ReferenceLine,
 } from "recharts";
-import { Download, Upload, Plus, Trash2, RefreshCw, TrendingUp, Target, Database } from "lucide-react";
+import { Download, Upload, Plus, Trash2, RefreshCw, TrendingUp, Target, Database, FileSpreadsheet, Undo2, Redo2, History, FileText, Printer, GitMerge, GitCompare, ChevronDown, ChevronRight, ChevronUp, ArrowUpRight, ArrowDownRight, ArrowRight } from "lucide-react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Textarea } from "@/components/ui/textarea";
 import { Label } from "@/components/ui/label";
 import { Select, SelectTrigger, SelectContent, SelectItem, SelectValue } from "@/components/ui/select";
+import {
+  DEFAULT_FORMATS, MATCH_TYPES, DISMISSALS, SCHEMA_VERSION, BOWLING_STYLES, BOWLER_TYPES, toInt,
+  ballsToOvers, calcStrikeRate, calcEconomy, fmtDate, normalizeDate, sumTotals, calcBattingAverage,
+  calcEconomyFromBalls, entryBowlBalls, calcBowlingStats, countDismissals, calcScoringBreakdown,
+  calcSkillScores, calcSkillPercentiles, skillTimeline, SKILL_AXES, SKILL_MEASURES, DEFAULT_SKILL_BENCHMARKS, isValidSkillBand, skillRadarData, ROLLING_WINDOWS, rollingTotals, calcFormIndex, formTrend,
+  INSIGHT_METRICS, BENCHMARK_FORMATS, SEVERITIES, DEFAULT_INSIGHT_RULES, computeInsightMetrics,
+  buildInsights, DEFAULT_RECORD_MIN_BALLS, isOut, hasBatted, byDate, calcRecords, recordGroups,
+  detectAchievements, EMPTY_FILTERS, applyFilters, isFiltered, SPLIT_DIMENSIONS, NOT_RECORDED,
+  distinctValues, calcSplits, validateEntry, isLegalBall, ballLabel, deriveBattingFromBalls,
+  deriveBowlingFromBalls, groupBallsByOver, WAGON_ZONES, WAGON_SHOT_RUNS, wagonPoint,
+  wagonWedgePath, wagonZoneAt, calcWagonZones, PITCH_LINES, PITCH_LENGTHS, calcPitchMap, isRecord,
+  migrateData, coerceEntry, checkImportedEntry, parseQuickEntry, COMPARE_MIN_SAMPLES, periodEntries,
+  entrySeasons, comparePeriods, compareSkillRadar, inDateRange, entrySeasonId, currentSeason, competitionsOn,
+  summarizeSeason, summarizeCompetitions, WORKLOAD_SAFE_BAND, DEFAULT_WORKLOAD_SETTINGS, calcWorkload,
+  weeklyWorkload, workloadInsights, INNINGS_TYPES, MATCH_RESULTS, CONTEXT_FIELDS, calcRunShare,
+} from "./cricket-stats.mjs";
 
 /**
  * Cricket Performance Tracker – Single-File React Component
@@ -36,84 +55,1563 @@ import { Select, SelectTrigger, SelectContent, SelectItem, SelectValue } from "@
  * - Batting: runs, balls, scoring breakdown (1s/2s/3s/4s/6s/dots), dismissal type, notes.
  * - Bowling: overs, balls, runs conceded, wickets, maidens, wides, no-balls, notes.
  * - Fielding: catches, run-outs, drops, misfields, notes.
- * - Progress tracker with trends (average, SR, economy, wickets) and auto-insights.
+ * - Cricket-aware validation (scoring breakdown, overs notation, maidens...) with field-level errors.
+ * - Squad profiles (role, batting hand, bowling style) with a player switcher and squad overview.
+ * - Ball-by-ball scoring mode: log each delivery and derive batting/bowling totals from it.
+ * - Wagon wheel: click-on-field shot capture per innings, combined chart with zone % and off/leg insights.
+ * - Opposition, ground and bowler type faced (autocompleted) with batting splits for each.
+ * - Innings context (batting position, team total, setting/chasing, target, result): share of team runs,
+ *   splits by position, innings and result, and runs over time by position.
+ * - Filter bar (date range, format, match type, venue) that scopes every stat/chart/table; kept in the URL.
+ * - Bowling analytics: average, strike rate, best figures, 3w/5w hauls, extras per over, per-match charts.
+ * - Bowling pitch map: line/length/outcome per delivery, heatmap across spells, economy & wicket rate by length.
+ * - Bowling workload: balls per day/week (nets included), 7:28-day acute:chronic ratio with safe/danger bands,
+ *   spike and weekly-limit warnings in the insights panel.
+ * - Goals on any metric with deadlines/match windows, projections, on-track/at-risk status and an archive.
+ * - Records panel (highs, 30s/50s/100s, ducks, streaks, best figures) with milestone/PB celebrations on save.
+ * - Progress tracker with trends (average, SR, economy, wickets) and auto-insights from an editable,
+ *   per-format rule set (thresholds, severity, message templates, custom rules).
+ * - Rolling-window overlays (last 3/5/10) on the trend charts and a recent-vs-career form index.
  * - Visuals: Runs over time, Strike rate, Dismissal type pie, Scoring breakdown, Skill radar.
- * - Local persistence (localStorage), JSON import/export, quick reset.
+ * - Local persistence (IndexedDB with one-time migration from localStorage, versioned schema), JSON export,
+ *   previewed import/merge, quick reset.
+ * - Append-only change log: undo/redo (Ctrl+Z / Ctrl+Shift+Z), a trash bin for deleted entries, per-entry history.
+ * - Quick entry: shorthand like "45(32) 4x5 6x2 c" / "4-0-28-2 1w 1nb" or a pasted scorecard row fills the form.
+ * - Seasons and competitions: date-bounded groupings entries are assigned to, per-competition tables,
+ *   a season summary, and Quick Stats/charts switchable between career, this season and a competition.
+ * - Skill Radar scored against editable per-format benchmark bands or as percentiles of the player's own
+ *   history, with a time slider that replays it match by match.
+ * - All Entries table: sortable columns, paging, search across venue and notes with highlighting,
+ *   expandable notes rows, and multi-select for bulk delete, re-tag and export.
+ * - Compare two periods (last N vs previous N, seasons, date ranges) with change, significance and an overlaid radar.
+ * - Multi-device merge from exported files: per-entry revisions, auto-resolved one-sided changes,
+ *   field-by-field conflict picking and tombstones for deletions.
+ * - CSV export with derived columns and column-mapped CSV import.
+ * - Printable season report (date range/format, tables, records, SVG charts, insights, picked takeaways),
+ *   built entirely client-side; save as standalone HTML or print to PDF.
+ * - Stats/insight maths in cricket-stats.mjs (pure, framework-free), shared with a Node CLI for exports.
  * - Clean Tailwind UI + shadcn/ui components + Recharts + Framer Motion.
  */
 
-// ------------ Types & Utilities ------------ //
-const DEFAULT_FORMATS = ["T20", "ODI", "Test", "T10", "Street/Box", "Practice"];
-const MATCH_TYPES = ["League", "Friendly", "Net Session", "Tournament", "Practice Match"];
-const DISMISSALS = [
-  "Not Out",
-  "Bowled",
-  "LBW",
-  "Caught",
-  "Run Out",
-  "Stumped",
-  "Hit Wicket",
-  "Retired Hurt",
+// ------------ Storage Keys & Squad ------------ //
+// Fixed since v2: the stored document carries its own schemaVersion and is migrated on load,
+// so bumping SCHEMA_VERSION doesn't strand what is already saved.
+const STORAGE_KEY = "cricket_tracker_entries_v2";
+// Older keys are read once (when STORAGE_KEY is empty) and left untouched as a fallback.
+const LEGACY_STORAGE_KEYS = ["cricket_tracker_entries_v1", "cricketEntries"];
+const CSV_MAPPING_KEY = "cricket_tracker_csv_mapping_v1";
+const INSIGHT_RULES_KEY = "cricket_tracker_insight_rules_v1";
+const SKILL_BENCHMARKS_KEY = "cricket_tracker_skill_benchmarks_v1";
+const WORKLOAD_KEY = "cricket_tracker_workload_v1";
+const GOALS_KEY = "cricket_tracker_goals_v1";
+const PLAYERS_KEY = "cricket_tracker_players_v1";
+const ACTIVE_PLAYER_KEY = "cricket_tracker_active_player_v1";
+const SEASONS_KEY = "cricket_tracker_seasons_v1";
+const COMPETITIONS_KEY = "cricket_tracker_competitions_v1";
+
+const PLAYER_ROLES = ["Batter", "Bowler", "All-rounder", "Wicket-keeper"];
+const BATTING_HANDS = ["Right", "Left"];
+// Sentinel for the player switcher: show every entry, including ones logged before profiles existed.
+const ALL_PLAYERS = "all";
+
+// ------------ Form & Rolling Trends ------------ //
+const TREND_ICONS = { up: ArrowUpRight, down: ArrowDownRight, flat: ArrowRight };
+const TREND_COLORS = { up: "text-green-600", down: "text-red-600", flat: "text-gray-400" };
+
+// ------------ Insight Rules ------------ //
+const SEVERITY_STYLES = { info: "border-gray-200", warning: "border-amber-300", critical: "border-red-400" };
+
+function loadInsightRules() {
+  try {
+    const raw = localStorage.getItem(INSIGHT_RULES_KEY);
+    if (!raw) return DEFAULT_INSIGHT_RULES;
+    // Built-in rules can only be disabled, not deleted, so any missing ones were added after the save.
+    const saved = JSON.parse(raw);
+    return [...saved, ...DEFAULT_INSIGHT_RULES.filter((d) => !saved.some((r) => r.id === d.id))];
+  } catch {
+    return DEFAULT_INSIGHT_RULES;
+  }
+}
+
+// ------------ Bowling Workload ------------ //
+// Days of history shown on the workload charts (0 = everything).
+const WORKLOAD_RANGES = [
+  [28, "4 weeks"],
+  [84, "12 weeks"],
+  [182, "6 months"],
+  [0, "All"],
+];
+
+function loadWorkloadSettings() {
+  try {
+    return { ...DEFAULT_WORKLOAD_SETTINGS, ...JSON.parse(localStorage.getItem(WORKLOAD_KEY)) };
+  } catch {
+    return DEFAULT_WORKLOAD_SETTINGS;
+  }
+}
+
+// ------------ Skill Benchmarks ------------ //
+const RADAR_MODES = [
+  ["benchmark", "vs format benchmarks"],
+  ["percentile", "vs own history"],
+];
+
+// Saved bands are laid over the defaults, so formats/axes added later still get a band.
+function loadSkillBenchmarks() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SKILL_BENCHMARKS_KEY)) || {};
+    return Object.fromEntries(Object.entries(DEFAULT_SKILL_BENCHMARKS).map(([f, bands]) => [f, { ...bands, ...saved[f] }]));
+  } catch {
+    return DEFAULT_SKILL_BENCHMARKS;
+  }
+}
+
+// ------------ Goals ------------ //
+// Count metrics accumulate, so ">=" goals on them can be won early and "<=" goals lost early.
+const GOAL_TOTAL_METRICS = [
+  { key: "runs", label: "Total runs" },
+  { key: "wickets", label: "Total wickets" },
+  { key: "catches", label: "Total catches" },
+  { key: "drops", label: "Total drops" },
+  { key: "matches", label: "Matches played" },
 ];
+const GOAL_METRICS = [...GOAL_TOTAL_METRICS, ...INSIGHT_METRICS.filter((m) => m.key !== "formIndex")];
+const GOAL_STATUS_STYLES = {
+  "achieved": "bg-green-100 text-green-700",
+  "missed": "bg-red-100 text-red-700",
+  "on-track": "bg-blue-100 text-blue-700",
+  "at-risk": "bg-amber-100 text-amber-700",
+  "not-started": "bg-gray-100 text-gray-600",
+};
+
+const todayISO = () => new Date().toISOString().slice(0, 10);
+const daysBetween = (a, b) => Math.round((new Date(b) - new Date(a)) / 86400000);
+
+function goalMetricValue(list, key) {
+  if (GOAL_TOTAL_METRICS.some((m) => m.key === key)) return sumTotals(list)[key];
+  return computeInsightMetrics(list, ROLLING_WINDOWS[1])[key];
+}
+
+/**
+ * Where a goal stands. Matches count from `startDate` (and up to `deadline`), limited to
+ * `format` and to the first `matchLimit` matches when set. The projection assumes the
+ * matches still expected before the goal closes go like the last few did.
+ */
+function evaluateGoal(goal, entries, today = todayISO()) {
+  const list = entries
+    .filter((e) => (goal.playerId ? e.playerId === goal.playerId : true))
+    .filter((e) => goal.format === "all" || e.format === goal.format)
+    .filter((e) => (e.date || "") >= goal.startDate && (!goal.deadline || (e.date || "") <= goal.deadline))
+    .sort(byDate)
+    .slice(0, goal.matchLimit ? goal.matchLimit : undefined);
+  const target = Number(goal.target);
+  const meets = (v) => v != null && (goal.op === ">=" ? v >= target : v <= target);
+  const isTotal = GOAL_TOTAL_METRICS.some((m) => m.key === goal.metric);
+
+  const value = list.length ? goalMetricValue(list, goal.metric) : isTotal ? 0 : null;
+
+  let remaining = 0;
+  if (goal.matchLimit) remaining = Math.max(0, goal.matchLimit - list.length);
+  else if (goal.deadline && today < goal.deadline) {
+    const elapsed = Math.max(1, daysBetween(goal.startDate, today));
+    remaining = Math.round((list.length / elapsed) * daysBetween(today, goal.deadline));
+  }
+  const recent = list.slice(-ROLLING_WINDOWS[1]);
+  const future = Array.from({ length: Math.min(remaining, 200) }, (_, i) => recent[i % recent.length]);
+  const projected = list.length ? goalMetricValue([...list, ...future], goal.metric) : value;
+
+  const closed = (goal.deadline && today > goal.deadline) || (goal.matchLimit && list.length >= goal.matchLimit);
+  const decidedEarly = isTotal && (goal.op === ">=" ? meets(value) : !meets(value));
+  let status;
+  if (closed || decidedEarly) status = meets(value) ? "achieved" : "missed";
+  else if (!list.length) status = "not-started";
+  else status = meets(projected) ? "on-track" : "at-risk";
+
+  let progress = 0;
+  if (meets(value)) progress = 100;
+  else if (value != null) progress = Math.round(Math.min(1, goal.op === ">=" ? value / target : target / value) * 100);
+  return { value, projected, played: list.length, progress: Math.max(0, Math.min(100, progress)), status, settled: status === "achieved" || status === "missed" };
+}
+
+// ------------ Period Comparison ------------ //
+const COMPARE_MODES = [
+  ["recent", "Last N vs previous N"],
+  ["season", "Seasons"],
+  ["range", "Date ranges"],
+];
+const VERDICTS = {
+  clear: ["Clear change", "bg-emerald-100 text-emerald-800"],
+  possible: ["Possible change", "bg-amber-100 text-amber-800"],
+  noise: ["Within noise", "bg-gray-100 text-gray-600"],
+  small: ["Too few to tell", "bg-gray-50 text-gray-400"],
+};
+
+// The two periods a compare panel describes: A is the baseline, B the one being judged.
+// Season picks are named season ids, or calendar years when no seasons have been set up.
+function comparePeriodSpecs(c, seasons, competitions) {
+  if (c.mode === "season") {
+    return [c.seasonA, c.seasonB].map((v) => {
+      const season = seasons.find((x) => x.id === v);
+      return season ? { kind: "season", season, seasons, competitions } : { kind: "season", year: v };
+    });
+  }
+  if (c.mode === "range") return [{ kind: "range", ...c.rangeA }, { kind: "range", ...c.rangeB }];
+  const n = Math.max(1, toInt(c.n, 5));
+  return [{ kind: "recent", n, skip: n }, { kind: "recent", n, skip: 0 }];
+}
 
-const STORAGE_KEY = "cricket_tracker_entries_v1";
+function comparePeriodLabels(c, seasons) {
+  if (c.mode === "season") return [c.seasonA, c.seasonB].map((v, i) => seasons.find((x) => x.id === v)?.name || v || `Season ${"AB"[i]}`);
+  if (c.mode === "range") {
+    const label = (r) => (r.from || r.to ? `${r.from ? fmtDate(r.from) : "start"} – ${r.to ? fmtDate(r.to) : "today"}` : "All dates");
+    return [label(c.rangeA), label(c.rangeB)];
+  }
+  const n = Math.max(1, toInt(c.n, 5));
+  return [`Previous ${n}`, `Last ${n}`];
+}
 
-function toInt(v, d = 0) {
-  const n = parseInt(v, 10);
-  return Number.isFinite(n) ? n : d;
+// ------------ Filters ------------ //
+function readFiltersFromURL() {
+  try {
+    const params = new URLSearchParams(window.location.search);
+    const f = { ...EMPTY_FILTERS };
+    for (const k of Object.keys(EMPTY_FILTERS)) if (params.has(k)) f[k] = params.get(k);
+    return f;
+  } catch {
+    return { ...EMPTY_FILTERS };
+  }
 }
 
-function oversToBalls(overs) {
-  // e.g., 3.2 overs => 20 balls
-  if (overs == null || overs === "") return 0;
-  const parts = String(overs).split(".");
-  const whole = toInt(parts[0]);
-  const balls = parts[1] ? toInt(parts[1]) : 0;
-  return whole * 6 + balls;
+// Only non-default filters go into the query string; other params on the page are left alone.
+function writeFiltersToURL(filters) {
+  const url = new URL(window.location.href);
+  for (const [k, v] of Object.entries(filters)) {
+    if (v === EMPTY_FILTERS[k]) url.searchParams.delete(k);
+    else url.searchParams.set(k, v);
+  }
+  window.history.replaceState(null, "", url);
 }
 
-function ballsToOvers(balls) {
-  const o = Math.floor(balls / 6);
-  const r = balls % 6;
-  return `${o}.${r}`;
+// ------------ Import Preview ------------ //
+// Key-order independent serialisation, so re-exported entries compare equal.
+function stableStringify(v) {
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(",")}]`;
+  if (isRecord(v)) return `{${Object.keys(v).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(",")}}`;
+  return JSON.stringify(v);
 }
 
-function calcStrikeRate(runs, balls) {
-  if (!balls) return 0;
-  return +( (runs / balls) * 100 ).toFixed(1);
+// Squad members, seasons and competitions from a file are added when their id is new; local edits win.
+const addMissingById = (prev, incoming = []) => [...prev, ...incoming.filter((x) => isRecord(x) && !prev.some((y) => y.id === x.id))];
+
+// Sorts incoming records into new / duplicate (same id, same content) / conflicting / rejected.
+// Rejected records are reported by position in doc.entries, or by `rowNumbers[i]` when given
+// (the line each CSV record starts on).
+function buildImportPreview(doc, current, rowNumbers = null) {
+  const byId = new Map(current.map((e) => [e.id, e]));
+  const preview = { fresh: [], duplicates: [], conflicts: [], rejected: [], players: doc.players || [], seasons: doc.seasons || [], competitions: doc.competitions || [] };
+  doc.entries.forEach((raw, i) => {
+    const reasons = checkImportedEntry(raw);
+    if (reasons.length) {
+      preview.rejected.push({ row: rowNumbers?.[i] ?? i + 1, date: isRecord(raw) ? raw.date : undefined, reasons });
+      return;
+    }
+    const e = coerceEntry(raw);
+    const mine = byId.get(e.id);
+    if (!mine) preview.fresh.push(e);
+    else if (sameContent(mine, e)) preview.duplicates.push(e);
+    else preview.conflicts.push({ mine, theirs: e });
+  });
+  return preview;
 }
 
-function calcEconomy(runsConceded, overs) {
-  const o = Number(overs);
-  if (!o) return 0;
-  return +((runsConceded / o)).toFixed(2);
+// ------------ Multi-device Sync ------------ //
+// Every saved version of an entry gets a random `rev`; `revs` lists the versions it was built on.
+// Two copies of an entry can then be compared from files alone: if one's history contains the
+// other's rev, only that side changed. A deletion leaves a tombstone (derived from the change log
+// and carried in exports) whose own rev is the deleting transaction, with the deleted history in `revs`.
+const DEVICE_ID_KEY = "cricket_tracker_device_id_v1";
+const SYNC_FIELDS = ["createdAt", "updatedAt", "deviceId", "rev", "revs"];
+const REV_HISTORY = 50;
+
+function getDeviceId() {
+  let id = localStorage.getItem(DEVICE_ID_KEY);
+  if (!id) {
+    id = crypto.randomUUID();
+    localStorage.setItem(DEVICE_ID_KEY, id);
+  }
+  return id;
 }
 
-function fmtDate(d) {
-  try { return new Date(d).toLocaleDateString(); } catch { return d; }
+const withoutSyncFields = (e) => Object.fromEntries(Object.entries(e).filter(([k]) => !SYNC_FIELDS.includes(k)));
+const sameContent = (a, b) => stableStringify(withoutSyncFields(a)) === stableStringify(withoutSyncFields(b));
+
+// Short content fingerprint, so tombstones can still match entries saved before revs existed.
+function contentHash(e) {
+  const s = stableStringify(withoutSyncFields(e));
+  let h = 5381;
+  for (let i = 0; i < s.length; i++) h = ((h * 33) ^ s.charCodeAt(i)) >>> 0;
+  return h.toString(36);
+}
+
+// True when `y` is `x` itself or one of the versions `x` was built on.
+const descendsFrom = (x, y) => !!y?.rev && (x.rev === y.rev || (x.revs || []).includes(y.rev));
+
+// A tombstone removes `e` if the deletion was made on that version (or a later one).
+const tombstoneCovers = (t, e) => descendsFrom(t, e) || (!e.rev && t.hash === contentHash(e));
+
+/**
+ * New version of `entry` made on this device. Its history continues every parent's
+ * (the version it replaces, plus the other side when resolving a merge conflict).
+ */
+function stampEntry(entry, parents, deviceId, at = new Date().toISOString()) {
+  const history = [];
+  for (const p of [entry, ...parents]) if (p) history.push(...(p.revs || []), p.rev);
+  const createdAt = entry.createdAt || parents.find((p) => p?.createdAt)?.createdAt || (parents.some(Boolean) ? undefined : at);
+  return {
+    ...entry,
+    ...(createdAt ? { createdAt } : {}),
+    updatedAt: at,
+    deviceId,
+    rev: crypto.randomUUID(),
+    revs: [...new Set(history.filter(Boolean))].slice(-REV_HISTORY),
+  };
+}
+
+// Re-creating an entry that is in `trash` (undoing its deletion) builds on the deleting transaction,
+// as restoreFromTrash does, so devices that already merged the tombstone take the entry back.
+const stampChanges = (changes, deviceId, trash = []) => changes.map((c) => {
+  if (!c.after) return c;
+  const deletion = !c.before && trash.find((t) => t.id === c.id);
+  return { ...c, after: stampEntry(c.after, [c.before, deletion && { rev: deletion.txn }], deviceId) };
+});
+
+function deriveTombstones(trash, deviceId) {
+  return trash.map((t) => ({
+    id: t.id,
+    rev: t.txn,
+    revs: [...(t.before.revs || []), t.before.rev].filter(Boolean),
+    hash: contentHash(t.before),
+    deletedAt: t.at,
+    deviceId,
+  }));
+}
+
+const isTombstone = (t) => isRecord(t) && typeof t.id === "string" && typeof t.rev === "string";
+
+/**
+ * Plans merging a file's entries into the current ones by id. One-sided changes are resolved
+ * automatically; everything else lands in `conflicts` as
+ * { id, kind: "edited" | "deletedHere" | "deletedThere", mine, theirs, tombstone }.
+ */
+function planMerge(local, localTombstones, remote, remoteTombstones) {
+  const mine = new Map(local.map((e) => [e.id, e]));
+  const theirIds = new Set(remote.map((e) => e.id));
+  const myTombstones = new Map(localTombstones.map((t) => [t.id, t]));
+  const plan = { added: [], updated: [], deleted: [], kept: 0, unchanged: 0, conflicts: [] };
+
+  for (const r of remote) {
+    const l = mine.get(r.id);
+    const tombstone = myTombstones.get(r.id);
+    if (!l && !tombstone) plan.added.push(r);
+    else if (!l && tombstoneCovers(tombstone, r)) plan.kept += 1;
+    // Their copy was deliberately kept after our deletion reached them.
+    else if (!l && descendsFrom(r, tombstone)) plan.added.push(r);
+    else if (!l) plan.conflicts.push({ id: r.id, kind: "deletedHere", mine: null, theirs: r, tombstone });
+    else if (sameContent(l, r)) plan.unchanged += 1;
+    else if (descendsFrom(r, l)) plan.updated.push({ before: l, after: r });
+    else if (descendsFrom(l, r)) plan.kept += 1;
+    else plan.conflicts.push({ id: r.id, kind: "edited", mine: l, theirs: r });
+  }
+  for (const t of remoteTombstones) {
+    const l = mine.get(t.id);
+    if (!l || theirIds.has(t.id)) continue;
+    if (tombstoneCovers(t, l)) plan.deleted.push(l);
+    else if (descendsFrom(l, t)) plan.kept += 1;
+    else plan.conflicts.push({ id: t.id, kind: "deletedThere", mine: l, theirs: null, tombstone: t });
+  }
+  return plan;
+}
+
+// Fields that differ between two versions of an entry (sync metadata aside).
+function diffFields(a, b) {
+  const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])].filter((k) => k !== "id" && !SYNC_FIELDS.includes(k));
+  return keys.filter((k) => stableStringify(a[k] ?? "") !== stableStringify(b[k] ?? "")).sort();
+}
+
+const fieldText = (v) => (Array.isArray(v) ? `${v.length} item(s)` : v == null || v === "" ? "—" : isRecord(v) ? JSON.stringify(v) : String(v));
+
+// ------------ CSV ------------ //
+// Entry fields a spreadsheet column can be mapped to. Keys double as the CSV export headers.
+const CSV_FIELDS = [
+  { key: "id", label: "Entry ID" },
+  { key: "date", label: "Date" },
+  { key: "time", label: "Time" },
+  { key: "player", label: "Player name" },
+  { key: "competition", label: "Competition" },
+  { key: "format", label: "Format" },
+  { key: "matchType", label: "Match type" },
+  { key: "venue", label: "Venue / notes" },
+  { key: "opposition", label: "Opposition" },
+  { key: "ground", label: "Ground" },
+  { key: "bowlerType", label: "Bowler type faced" },
+  { key: "battingPosition", label: "Batting position" },
+  { key: "teamTotal", label: "Team total" },
+  { key: "inningsType", label: "Setting / chasing" },
+  { key: "target", label: "Target" },
+  { key: "result", label: "Result" },
+  { key: "runs", label: "Runs" },
+  { key: "balls", label: "Balls faced" },
+  { key: "singles", label: "1s" },
+  { key: "doubles", label: "2s" },
+  { key: "triples", label: "3s" },
+  { key: "fours", label: "4s" },
+  { key: "sixes", label: "6s" },
+  { key: "dots", label: "Dots" },
+  { key: "dismissal", label: "Dismissal" },
+  { key: "battingNotes", label: "Batting notes" },
+  { key: "overs", label: "Overs" },
+  { key: "bowlBalls", label: "Balls bowled" },
+  { key: "runsConceded", label: "Runs conceded" },
+  { key: "wickets", label: "Wickets" },
+  { key: "maidens", label: "Maidens" },
+  { key: "wides", label: "Wides" },
+  { key: "noBalls", label: "No-balls" },
+  { key: "bowlingNotes", label: "Bowling notes" },
+  { key: "catches", label: "Catches" },
+  { key: "runOuts", label: "Run-outs" },
+  { key: "drops", label: "Drops" },
+  { key: "misfields", label: "Misfields" },
+  { key: "fieldingNotes", label: "Fielding notes" },
+];
+// Derived columns are export-only; on import they map to nothing by default.
+const CSV_DERIVED = ["strikeRate", "economy"];
+const CSV_IGNORE = "__ignore";
+
+// Spreadsheets run cells starting with these as formulas, so free text like notes gets a leading '
+// on export (csvRowsToRecords strips it again).
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(v) {
+  const raw = v == null ? "" : String(v);
+  const str = CSV_FORMULA_START.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function entriesToCSV(list, playerName, competitionName) {
+  const header = [...CSV_FIELDS.map((f) => f.key), ...CSV_DERIVED];
+  const rows = list.map((e) => {
+    const balls = entryBowlBalls(e);
+    const row = {
+      ...e,
+      player: e.playerId ? playerName(e.playerId) : "",
+      competition: e.competitionId ? competitionName(e.competitionId) : "",
+      overs: balls ? ballsToOvers(balls) : "",
+      bowlBalls: balls,
+      strikeRate: calcStrikeRate(e.runs || 0, e.balls || 0),
+      economy: calcEconomyFromBalls(e.runsConceded || 0, balls),
+    };
+    return header.map((k) => csvCell(row[k])).join(",");
+  });
+  return [header.join(","), ...rows].join("\r\n");
+}
+
+// RFC 4180-style parser: quoted cells may contain commas, doubled quotes and line breaks.
+// Each row is { cells, line }, `line` being where it starts in the file; blank lines are dropped.
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else {
+        if (ch === "\n" || (ch === "\r" && text[i + 1] !== "\n")) line++;
+        cell += ch;
+      }
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push({ cells: row, line: start });
+      row = [];
+      cell = "";
+      start = ++line;
+    } else cell += ch;
+  }
+  if (cell !== "" || row.length) { row.push(cell); rows.push({ cells: row, line: start }); }
+  return rows.filter((r) => r.cells.some((c) => c.trim() !== ""));
+}
+
+const normHeader = (h) => String(h).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Remembered mapping first, then a match on field key or label (case/punctuation-insensitive).
+function guessCsvMapping(headers, remembered = {}) {
+  const mapping = {};
+  for (const h of headers) {
+    if (remembered[h]) { mapping[h] = remembered[h]; continue; }
+    const f = CSV_FIELDS.find((x) => normHeader(x.key) === normHeader(h) || normHeader(x.label) === normHeader(h));
+    mapping[h] = f ? f.key : CSV_IGNORE;
+  }
+  return mapping;
+}
+
+// Turns mapped CSV rows into raw records for buildImportPreview; values stay strings so
+// validation can report unparseable cells instead of toInt quietly turning them into 0.
+// Rows without an id column get one from their content, so re-importing the same sheet finds
+// duplicates instead of adding everything again (repeats of an identical row are numbered).
+function csvRowsToRecords(headers, rows, mapping, players, competitions) {
+  const seen = new Map();
+  return rows.map(({ cells }) => {
+    const rec = {};
+    const problems = [];
+    headers.forEach((h, i) => {
+      const key = mapping[h];
+      if (!key || key === CSV_IGNORE) return;
+      const cell = (cells[i] ?? "").trim();
+      rec[key] = cell.startsWith("'") && CSV_FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell;
+    });
+    if (rec.player) {
+      const p = players.find((x) => x.name.toLowerCase() === rec.player.toLowerCase());
+      if (p) rec.playerId = p.id;
+      else problems.push(`Unknown player "${rec.player}" (add them to the squad first).`);
+    }
+    delete rec.player;
+    if (rec.competition) {
+      const c = competitions.find((x) => x.name.toLowerCase() === rec.competition.toLowerCase());
+      if (c) rec.competitionId = c.id;
+      else problems.push(`Unknown competition "${rec.competition}" (create it under Seasons & Competitions first).`);
+    }
+    delete rec.competition;
+    if (rec.date) rec.date = normalizeDate(rec.date);
+    if (rec.dismissal) {
+      const match = DISMISSALS.find((d) => d.toLowerCase() === rec.dismissal.toLowerCase());
+      if (match) rec.dismissal = match;
+    } else rec.dismissal = "Not Out";
+    if (rec.bowlerType) rec.bowlerType = BOWLER_TYPES.find((b) => b.toLowerCase() === rec.bowlerType.toLowerCase()) || rec.bowlerType;
+    if (rec.inningsType) rec.inningsType = INNINGS_TYPES.find((t) => t.toLowerCase() === rec.inningsType.toLowerCase()) || rec.inningsType;
+    if (rec.result) rec.result = MATCH_RESULTS.find((r) => r.toLowerCase() === rec.result.toLowerCase()) || rec.result;
+    if (!rec.id) {
+      const base = `csv-${contentHash(rec)}`;
+      const n = (seen.get(base) || 0) + 1;
+      seen.set(base, n);
+      rec.id = n > 1 ? `${base}-${n}` : base;
+    }
+    return problems.length ? { __problems: problems, ...rec } : rec;
+  });
+}
+
+// Throws when stored data can't be read (corrupt JSON, a schema from a newer build): treating that
+// as "no entries" would let the next save overwrite it.
+function loadStoredEntries() {
+  const raw = localStorage.getItem(STORAGE_KEY);
+  if (raw) return migrateData(JSON.parse(raw)).entries.filter(isRecord).map(coerceEntry);
+  // First run on this schema: pick up whatever older versions of the app left behind.
+  const found = new Map();
+  for (const key of LEGACY_STORAGE_KEYS) {
+    const old = localStorage.getItem(key);
+    if (!old) continue;
+    for (const e of migrateData(JSON.parse(old)).entries.filter(isRecord).map(coerceEntry)) {
+      if (!found.has(e.id)) found.set(e.id, e);
+    }
+  }
+  return [...found.values()];
+}
+
+// Everything under the entry keys, untouched, for a backup when it can't be loaded.
+function storedDataBackup() {
+  const keys = [STORAGE_KEY, ...LEGACY_STORAGE_KEYS].filter((k) => localStorage.getItem(k) != null);
+  return JSON.stringify(Object.fromEntries(keys.map((k) => [k, localStorage.getItem(k)])), null, 2);
+}
+
+// ------------ Entry Repository (IndexedDB) ------------ //
+// Entries live in IndexedDB. Every change is also appended to the `changes` store as one
+// record per user action: { txn, label, kind, ref, at, changes: [{ id, before, after }] }.
+// kind is "edit", "undo"/"redo" (ref = the txn being reversed/replayed) or "system".
+const DB_NAME = "cricket_tracker";
+const DB_VERSION = 1;
+const MIGRATED_FLAG = "migratedFromLocalStorage";
+// Schema of the stored entries; databases from before this flag hold v2 entries.
+const SCHEMA_FLAG = "schemaVersion";
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function idbDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function openTrackerDB() {
+  const req = indexedDB.open(DB_NAME, DB_VERSION);
+  req.onupgradeneeded = () => {
+    const db = req.result;
+    db.createObjectStore("entries", { keyPath: "id" });
+    db.createObjectStore("changes", { keyPath: "seq", autoIncrement: true });
+    db.createObjectStore("meta");
+  };
+  return idbRequest(req);
+}
+
+function createIndexedDBRepo() {
+  let dbPromise = null;
+  const db = () => (dbPromise ||= openTrackerDB());
+  return {
+    open: db,
+    async load() {
+      const tx = (await db()).transaction(["entries", "changes", "meta"], "readonly");
+      const [entries, changes, migrated, schemaVersion] = await Promise.all([
+        idbRequest(tx.objectStore("entries").getAll()),
+        idbRequest(tx.objectStore("changes").getAll()),
+        idbRequest(tx.objectStore("meta").get(MIGRATED_FLAG)),
+        idbRequest(tx.objectStore("meta").get(SCHEMA_FLAG)),
+      ]);
+      return { entries, changes, migrated: !!migrated, schemaVersion: schemaVersion ?? 2 };
+    },
+    // Rewrites entries in the current shape. Not a user change, so it stays out of the change log.
+    async upgrade(entries) {
+      const tx = (await db()).transaction(["entries", "meta"], "readwrite");
+      for (const e of entries) tx.objectStore("entries").put(e);
+      tx.objectStore("meta").put(SCHEMA_VERSION, SCHEMA_FLAG);
+      await idbDone(tx);
+    },
+    // Entry writes and the change-log append happen in one IndexedDB transaction.
+    async commit(record, { markMigrated = false } = {}) {
+      const tx = (await db()).transaction(["entries", "changes", "meta"], "readwrite");
+      const store = tx.objectStore("entries");
+      for (const c of record.changes) {
+        if (c.after) store.put(c.after);
+        else store.delete(c.id);
+      }
+      tx.objectStore("changes").add(record);
+      if (markMigrated) {
+        tx.objectStore("meta").put(true, MIGRATED_FLAG);
+        tx.objectStore("meta").put(SCHEMA_VERSION, SCHEMA_FLAG);
+      }
+      await idbDone(tx);
+    },
+  };
+}
+
+// Fallback when IndexedDB is unavailable (some private-browsing modes): entries stay in
+// localStorage as before and the change log only lasts for the session.
+function createLocalStorageRepo() {
+  let entries = [];
+  return {
+    async load() {
+      entries = loadStoredEntries();
+      return { entries, changes: [], migrated: true };
+    },
+    async commit(record) {
+      entries = applyChanges(entries, record.changes);
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ schemaVersion: SCHEMA_VERSION, entries }));
+    },
+  };
+}
+
+// Opens storage, moving localStorage data into IndexedDB the first time.
+// Only a database that can't be opened at all falls back to localStorage. Once the data has moved,
+// the localStorage copy is stale, so any later error is thrown for the app to report instead.
+async function openEntryRepo() {
+  let idb = null;
+  if (typeof indexedDB !== "undefined") {
+    idb = createIndexedDBRepo();
+    await idb.open().catch(() => { idb = null; });
+  }
+  if (!idb) {
+    const repo = createLocalStorageRepo();
+    const state = await repo.load();
+    return { repo, entries: state.entries, changes: state.changes };
+  }
+  let state = await idb.load();
+  if (!state.migrated) {
+    // loadStoredEntries throws on unreadable data, so the flag is only set after a good read.
+    await idb.commit(makeChangeRecord("Moved from browser storage", diffEntries([], loadStoredEntries()), "system"), { markMigrated: true });
+    state = await idb.load();
+  }
+  // migrateData also refuses a database written by a newer build.
+  if (state.schemaVersion !== SCHEMA_VERSION) {
+    const entries = migrateData({ schemaVersion: state.schemaVersion, entries: state.entries }).entries;
+    await idb.upgrade(entries);
+    state = { ...state, entries };
+  }
+  return { repo: idb, entries: state.entries, changes: state.changes };
+}
+
+function makeChangeRecord(label, changes, kind = "edit", ref = null) {
+  return { txn: crypto.randomUUID(), label, kind, ref, at: new Date().toISOString(), changes };
+}
+
+// Per-entry before/after pairs between two entry lists (null = absent).
+function diffEntries(prev, next) {
+  const before = new Map(prev.map((e) => [e.id, e]));
+  const after = new Map(next.map((e) => [e.id, e]));
+  const changes = [];
+  for (const id of new Set([...before.keys(), ...after.keys()])) {
+    const b = before.get(id) || null;
+    const a = after.get(id) || null;
+    if (stableStringify(b) !== stableStringify(a)) changes.push({ id, before: b, after: a });
+  }
+  return changes;
+}
+
+function applyChanges(list, changes) {
+  const byId = new Map(list.map((e) => [e.id, e]));
+  for (const c of changes) {
+    if (c.after) byId.set(c.id, c.after);
+    else byId.delete(c.id);
+  }
+  return [...byId.values()];
+}
+
+const invertChanges = (changes) => changes.map((c) => ({ id: c.id, before: c.after, after: c.before })).reverse();
+
+// Replays the log to rebuild the undo/redo stacks, so they survive a reload.
+function deriveUndoStacks(log) {
+  const undo = [];
+  const redo = [];
+  for (const t of log) {
+    if (t.kind === "edit") {
+      undo.push(t);
+      redo.length = 0;
+    } else if (t.kind === "undo" && undo.length) redo.push(undo.pop());
+    else if (t.kind === "redo" && redo.length) undo.push(redo.pop());
+  }
+  return { undo, redo };
+}
+
+// Entries whose latest change deleted them, newest first, with the last version before deletion.
+function deriveTrash(log, entries) {
+  const live = new Set(entries.map((e) => e.id));
+  const last = new Map();
+  for (const t of log) for (const c of t.changes) last.set(c.id, { ...c, txn: t.txn, at: t.at, label: t.label });
+  return [...last.values()].filter((c) => !c.after && c.before && !live.has(c.id)).sort((a, b) => b.at.localeCompare(a.at));
+}
+
+function entryHistory(log, id) {
+  return log.flatMap((t) => t.changes.filter((c) => c.id === id).map((c) => ({ ...c, txn: t.txn, label: t.label, kind: t.kind, at: t.at })));
+}
+
+const entrySummary = (e) => `${fmtDate(e.date)} · ${e.format || "-"} · ${e.runs || 0}(${e.balls || 0}) · ${e.wickets || 0}/${e.runsConceded || 0} · C ${e.catches || 0}`;
+
+// ------------ Entries Table ------------ //
+// Sortable columns: `sort(e, ctx)` gives the value compared (ctx supplies lookups like playerName).
+const ENTRY_COLUMNS = [
+  { key: "date", label: "Date", sort: (e) => `${e.date} ${e.time || ""}` },
+  { key: "player", label: "Player", sort: (e, ctx) => ctx.playerName(e.playerId).toLowerCase() },
+  { key: "format", label: "Format", sort: (e) => e.format || "" },
+  { key: "matchType", label: "Type", sort: (e) => e.matchType || "" },
+  { key: "runs", label: "Runs (Balls)", sort: (e) => e.runs || 0 },
+  { key: "boundaries", label: "4s/6s", sort: (e) => (e.fours || 0) * 4 + (e.sixes || 0) * 6 },
+  { key: "dismissal", label: "Dismissal", sort: (e) => e.dismissal || "" },
+  { key: "overs", label: "Overs", sort: (e) => entryBowlBalls(e) },
+  { key: "runsConceded", label: "R", sort: (e) => e.runsConceded || 0 },
+  { key: "wickets", label: "W", sort: (e) => e.wickets || 0 },
+  { key: "maidens", label: "Md", sort: (e) => e.maidens || 0 },
+  { key: "fielding", label: "C/RO", sort: (e) => (e.catches || 0) + (e.runOuts || 0) },
+];
+const PAGE_SIZES = [25, 50, 100];
+const SEARCH_FIELDS = ["venue", "battingNotes", "bowlingNotes", "fieldingNotes"];
+const ENTRY_NOTES = [["battingNotes", "Batting"], ["bowlingNotes", "Bowling"], ["fieldingNotes", "Fielding"]];
+// Fields the bulk re-tag bar can set on every selected entry.
+const RETAG_FIELDS = [["playerId", "Player"], ["format", "Format"], ["matchType", "Match type"], ["competitionId", "Competition"]];
+
+const searchTerms = (query) => query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+// Every term has to appear somewhere in the venue or notes (not necessarily the same field).
+function matchesSearch(e, terms) {
+  const text = SEARCH_FIELDS.map((k) => e[k] || "").join("\n").toLowerCase();
+  return terms.every((t) => text.includes(t));
+}
+
+function sortEntries(list, { key, dir }, ctx) {
+  const col = ENTRY_COLUMNS.find((c) => c.key === key) || ENTRY_COLUMNS[0];
+  const sign = dir === "asc" ? 1 : -1;
+  return [...list].sort((a, b) => {
+    const x = col.sort(a, ctx);
+    const y = col.sort(b, ctx);
+    return (x < y ? -1 : x > y ? 1 : 0) * sign;
+  });
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// `text` with every search term wrapped in <mark>.
+function Highlight({ text, terms }) {
+  if (!text) return null;
+  if (!terms.length) return text;
+  const re = new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "gi");
+  return String(text).split(re).map((part, i) => (i % 2 ? <mark key={i} className="bg-yellow-200 rounded px-0.5">{part}</mark> : part));
+}
+
+// ------------ Season Report ------------ //
+// A self-contained HTML document (inline CSS, charts as static SVG, no external assets),
+// so it can be saved as a file or printed to PDF without any network access.
+const REPORT_CHART = { width: 640, height: 220, pad: 36 };
+const NOTE_AREAS = [
+  ["battingNotes", "Batting"],
+  ["bowlingNotes", "Bowling"],
+  ["fieldingNotes", "Fielding"],
+];
+
+const escapeHtml = (v) => String(v ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// Every non-empty key-takeaway note in the list, oldest first, keyed `${entryId}:${field}`.
+function collectTakeaways(list) {
+  return [...list].sort(byDate).flatMap((e) => NOTE_AREAS
+    .filter(([field]) => String(e[field] || "").trim())
+    .map(([field, area]) => ({ key: `${e.id}:${field}`, date: e.date, format: e.format, area, text: e[field].trim() })));
+}
+
+// Bars and/or lines over one categorical x axis, scaled from zero.
+function svgComboChart(labels, { bars = [], lines = [] }) {
+  const { width: w, height: h, pad } = REPORT_CHART;
+  const plotW = w - pad - 8;
+  const plotH = h - 2 * pad;
+  const n = Math.max(1, labels.length);
+  const maxY = Math.max(1, ...[...bars, ...lines].flatMap((s) => s.values.filter(Number.isFinite)));
+  const x = (i) => pad + ((i + 0.5) * plotW) / n;
+  const y = (v) => h - pad - (v / maxY) * plotH;
+
+  const grid = [0, 0.25, 0.5, 0.75, 1].map((f) => `<line x1="${pad}" x2="${w - 8}" y1="${y(maxY * f)}" y2="${y(maxY * f)}" stroke="#e5e7eb" stroke-dasharray="3 3"/><text x="${pad - 4}" y="${y(maxY * f) + 3}" font-size="9" text-anchor="end" fill="#6b7280">${+(maxY * f).toFixed(1)}</text>`).join("");
+  const step = Math.ceil(labels.length / 8) || 1;
+  const xLabels = labels.map((l, i) => (i % step ? "" : `<text x="${x(i)}" y="${h - pad + 14}" font-size="9" text-anchor="middle" fill="#6b7280">${escapeHtml(l)}</text>`)).join("");
+  const barW = (plotW / n) * 0.7 / Math.max(1, bars.length);
+  const barEls = bars.map((s, si) => s.values.map((v, i) => `<rect x="${x(i) - (barW * bars.length) / 2 + si * barW}" y="${y(v || 0)}" width="${barW}" height="${h - pad - y(v || 0)}" fill="${s.color}"/>`).join("")).join("");
+  const lineEls = lines.map((s) => {
+    const pts = s.values.map((v, i) => (Number.isFinite(v) ? `${x(i)},${y(v)}` : null)).filter(Boolean).join(" ");
+    return `<polyline points="${pts}" fill="none" stroke="${s.color}" stroke-width="2"${s.dashed ? ' stroke-dasharray="5 5"' : ""}/>`;
+  }).join("");
+  const legend = [...bars, ...lines].map((s, i) => `<rect x="${pad + i * 150}" y="6" width="10" height="10" fill="${s.color}"/><text x="${pad + i * 150 + 14}" y="15" font-size="10">${escapeHtml(s.name)}</text>`).join("");
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${w} ${h}" width="100%">${grid}${xLabels}${barEls}${lineEls}${legend}</svg>`;
+}
+
+function svgPieChart(slices) {
+  const total = slices.reduce((a, s) => a + s.value, 0);
+  if (!total) return "";
+  const cx = 110;
+  const cy = 110;
+  const r = 90;
+  let angle = -Math.PI / 2;
+  const paths = slices.map((s, i) => {
+    const color = PIE_COLORS[i % PIE_COLORS.length];
+    if (s.value === total) return `<circle cx="${cx}" cy="${cy}" r="${r}" fill="${color}"/>`;
+    const start = angle;
+    angle += (s.value / total) * 2 * Math.PI;
+    const large = angle - start > Math.PI ? 1 : 0;
+    const p = (a) => `${(cx + r * Math.cos(a)).toFixed(2)},${(cy + r * Math.sin(a)).toFixed(2)}`;
+    return `<path d="M${cx},${cy} L${p(start)} A${r},${r} 0 ${large} 1 ${p(angle)} Z" fill="${color}"/>`;
+  }).join("");
+  const legend = slices.map((s, i) => `<rect x="240" y="${20 + i * 18}" width="10" height="10" fill="${PIE_COLORS[i % PIE_COLORS.length]}"/><text x="256" y="${29 + i * 18}" font-size="11">${escapeHtml(s.name)} – ${s.value} (${Math.round((s.value / total) * 100)}%)</text>`).join("");
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 480 ${Math.max(220, 30 + slices.length * 18)}" width="100%">${paths}${legend}</svg>`;
+}
+
+// `axes` is [{ key, val }] with values on a 0–100 scale (see skillRadarData).
+function svgRadarChart(axes) {
+  const cx = 240;
+  const cy = 130;
+  const r = 95;
+  const pt = (i, v) => {
+    const a = -Math.PI / 2 + (i * 2 * Math.PI) / axes.length;
+    return [cx + (r * v * Math.cos(a)) / 100, cy + (r * v * Math.sin(a)) / 100];
+  };
+  const ring = (v) => `<polygon points="${axes.map((_, i) => pt(i, v).join(",")).join(" ")}" fill="none" stroke="#e5e7eb"/>`;
+  const spokes = axes.map((a, i) => {
+    const [x, y] = pt(i, 100);
+    const [lx, ly] = pt(i, 118);
+    return `<line x1="${cx}" y1="${cy}" x2="${x}" y2="${y}" stroke="#e5e7eb"/><text x="${lx}" y="${ly + 3}" font-size="10" text-anchor="middle">${escapeHtml(a.key)} (${a.val})</text>`;
+  }).join("");
+  const shape = `<polygon points="${axes.map((a, i) => pt(i, a.val || 0).join(",")).join(" ")}" fill="#8884d8" fill-opacity="0.45" stroke="#8884d8"/>`;
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 480 260" width="100%">${[25, 50, 75, 100].map(ring).join("")}${spokes}${shape}</svg>`;
+}
+
+function svgWagonWheel(wagon) {
+  const c = 120;
+  const r = 114;
+  const max = Math.max(1, ...wagon.zones.map((z) => z.pct));
+  const wedges = wagon.zones.map((z, i) => {
+    const [lx, ly] = wagonPoint(i * 45 + 22.5, r * 0.68, c, false);
+    return `<path d="${wagonWedgePath(i, r, c, false)}" fill="#16a34a" fill-opacity="${(0.1 + (z.pct / max) * 0.7).toFixed(2)}" stroke="#86efac"/><text x="${lx}" y="${ly - 4}" font-size="8" text-anchor="middle">${escapeHtml(z.label.split(" / ")[0])}</text><text x="${lx}" y="${ly + 8}" font-size="10" font-weight="600" text-anchor="middle">${z.pct}%</text>`;
+  }).join("");
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 480 240" width="100%"><circle cx="${c}" cy="${c}" r="${r}" fill="#dcfce7"/>${wedges}<text x="260" y="40" font-size="11">${wagon.runs} runs over ${wagon.innings} innings</text><text x="260" y="58" font-size="11">Off side ${wagon.offPct}% · leg side ${+(100 - wagon.offPct).toFixed(1)}%</text></svg>`;
+}
+
+const reportTable = (head, rows) => `<table><thead><tr>${head.map((h) => `<th>${escapeHtml(h)}</th>`).join("")}</tr></thead><tbody>${rows.map((r) => `<tr>${r.map((c) => `<td>${escapeHtml(c)}</td>`).join("")}</tr>`).join("")}</tbody></table>`;
+
+/**
+ * Builds the printable report for `list` (already scoped to the chosen player, dates and format).
+ * `takeaways` are the notes picked for the report, as returned by collectTakeaways.
+ */
+function buildSeasonReport({ list, title, scope, rules, window, minBalls, benchmarks, takeaways = [] }) {
+  const sorted = [...list].sort(byDate);
+  const t = sumTotals(list);
+  const bowling = calcBowlingStats(list);
+  const records = calcRecords(list, minBalls);
+  const form = calcFormIndex(list, window);
+  const batted = sorted.filter(hasBatted);
+  const rolling = rollingTotals(sorted, window);
+  const labels = sorted.map((e) => fmtDate(e.date));
+  const bowled = sorted.filter((e) => entryBowlBalls(e) > 0);
+  const wagon = calcWagonZones(list);
+  const pct = (a, b) => (b ? `${((a / b) * 100).toFixed(1)}%` : "-");
+
+  const quick = [
+    ["Matches", t.matches],
+    ["Bat Avg", calcBattingAverage(t.runs, t.outs)],
+    ["Strike Rate", calcStrikeRate(t.runs, t.balls)],
+    ["Economy", calcEconomyFromBalls(t.runsConceded, t.bowlBalls)],
+    ["Form Index", form ? form.index : "-"],
+  ];
+
+  const charts = [
+    ["Runs Over Time", svgComboChart(labels, { lines: [
+      { name: "Runs", color: "#3b82f6", values: sorted.map((e) => e.runs || 0) },
+      { name: "Strike Rate", color: "#82ca9d", values: sorted.map((e) => calcStrikeRate(e.runs || 0, e.balls || 0)) },
+      { name: `Avg (last ${window})`, color: "#8884d8", dashed: true, values: rolling.map((r) => calcBattingAverage(r.runs, r.outs)) },
+    ] })],
+    ["Strike Rate by Innings", svgComboChart(labels, {
+      bars: [{ name: "Strike Rate", color: "#60a5fa", values: sorted.map((e) => calcStrikeRate(e.runs || 0, e.balls || 0)) }],
+      lines: [{ name: `SR (last ${window})`, color: "#ff8042", dashed: true, values: rolling.map((r) => calcStrikeRate(r.runs, r.balls)) }],
+    })],
+    bowled.length > 0 && ["Economy & Wickets", svgComboChart(bowled.map((e) => fmtDate(e.date)), {
+      bars: [{ name: "Wickets", color: "#82ca9d", values: bowled.map((e) => e.wickets || 0) }],
+      lines: [{ name: "Economy", color: "#ff8042", values: bowled.map((e) => calcEconomyFromBalls(e.runsConceded || 0, entryBowlBalls(e))) }],
+    })],
+    ["Dismissal Types", svgPieChart(countDismissals(list))],
+    ["Scoring Breakdown (Totals)", (() => {
+      const b = calcScoringBreakdown(list);
+      return svgComboChart(b.map((d) => d.name), { bars: [{ name: "Count", color: "#60a5fa", values: b.map((d) => d.value) }] });
+    })()],
+    wagon.runs > 0 && ["Wagon Wheel", svgWagonWheel(wagon)],
+    ["Skill Radar", svgRadarChart(skillRadarData(calcSkillScores(list, benchmarks)))],
+  ].filter((c) => c && c[1]);
+
+  const body = `
+<header>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="muted">${escapeHtml(scope)} · ${list.length} matches · generated ${escapeHtml(new Date().toLocaleString())}</div>
+</header>
+
+<h2>Quick Stats</h2>
+<div class="stats">${quick.map(([k, v]) => `<div class="stat"><div class="muted">${k}</div><div class="value">${escapeHtml(v)}</div></div>`).join("")}</div>
+
+<h2>Batting</h2>
+${reportTable(["Inns", "Runs", "Balls", "Outs", "Avg", "SR", "HS", "50s / 100s", "4s / 6s", "Boundary %", "Dot %"], [[
+  batted.length, t.runs, t.balls, t.outs, calcBattingAverage(t.runs, t.outs), calcStrikeRate(t.runs, t.balls),
+  records.batting.highest ? `${records.batting.highest.runs}${isOut(records.batting.highest) ? "" : "*"}` : "-",
+  `${records.batting.fifties} / ${records.batting.hundreds}`, `${t.fours} / ${t.sixes}`, pct(t.fours * 4 + t.sixes * 6, t.runs), pct(t.dots, t.balls),
+]])}
+
+<h2>Bowling</h2>
+${reportTable(["Inns", "Overs", "Runs", "Wkts", "Avg", "Econ", "SR", "Best", "3w / 5w", "Maidens", "Extras / Over"], [[
+  bowling.innings, bowling.overs, bowling.runs, bowling.wickets, bowling.average ?? "-", bowling.economy, bowling.strikeRate ?? "-",
+  bowling.bestFigures, `${bowling.threeFers} / ${bowling.fiveFers}`, bowling.maidens, bowling.extrasPerOver,
+]])}
+
+<h2>Fielding</h2>
+${reportTable(["Catches", "Run-outs", "Drops", "Misfields", "Catch success"], [[t.catches, t.runOuts, t.drops, t.misfields, pct(t.catches, t.catches + t.drops)]])}
+
+<h2>Records</h2>
+<div class="grid">${recordGroups(records, minBalls).map((g) => `<div><h3>${g.title}</h3>${reportTable(["", ""], g.rows.map(([label, value, e]) => [label, e ? `${value} (${fmtDate(e.date)})` : value]))}</div>`).join("")}</div>
+
+<h2>Charts</h2>
+<div class="grid charts">${charts.map(([name, svg]) => `<figure><figcaption>${name}</figcaption>${svg}</figure>`).join("")}</div>
+
+<h2>Insights</h2>
+<ul>${buildInsights(list, rules, window).map((it) => `<li class="${it.severity}"><span class="muted">${escapeHtml(it.area)}${it.format ? ` · ${escapeHtml(it.format)}` : ""}</span> ${escapeHtml(it.msg)}</li>`).join("")}</ul>
+${takeaways.length ? `
+<h2>Key Takeaways</h2>
+${reportTable(["Date", "Format", "Area", "Note"], takeaways.map((n) => [fmtDate(n.date), n.format || "", n.area, n.text]))}` : ""}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font: 13px/1.45 system-ui, sans-serif; color: #111827; max-width: 900px; margin: 24px auto; padding: 0 16px; }
+  h1 { margin: 0; font-size: 22px; } h2 { font-size: 16px; margin: 24px 0 8px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; } h3 { font-size: 13px; margin: 0 0 4px; }
+  .muted { color: #6b7280; font-size: 11px; }
+  .stats { display: grid; grid-template-columns: repeat(5, 1fr); gap: 8px; }
+  .stat { border: 1px solid #e5e7eb; border-radius: 12px; padding: 8px 12px; } .stat .value { font-size: 18px; font-weight: 600; }
+  .grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; } .grid.charts { grid-template-columns: repeat(2, 1fr); }
+  table { width: 100%; border-collapse: collapse; } th, td { text-align: left; padding: 4px 6px; border-top: 1px solid #e5e7eb; vertical-align: top; } th { background: #f9fafb; }
+  figure { margin: 0; border: 1px solid #e5e7eb; border-radius: 12px; padding: 8px; break-inside: avoid; } figcaption { font-weight: 600; margin-bottom: 4px; }
+  li { margin: 4px 0; } li.warning { color: #92400e; } li.critical { color: #b91c1c; }
+  @media print { body { margin: 0; max-width: none; } h2 { break-after: avoid; } table, .stats { break-inside: avoid; } }
+</style>
+</head>
+<body>${body}
+</body>
+</html>`;
+}
+
+function downloadFile(content, type, filename) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
 }
 
 // Quick color palette for Pie slices (use Recharts defaults if not enough slices)
 const PIE_COLORS = ["#8884d8", "#82ca9d", "#ffc658", "#8dd1e1", "#a4de6c", "#d0ed57", "#ffc0cb", "#ff8042"];
 
+// ------------ Ball-by-Ball Scorer ------------ //
+// Form fields a ball log derives (see deriveBattingFromBalls / deriveBowlingFromBalls).
+const BATTING_LOG_FIELDS = Object.keys(deriveBattingFromBalls([]));
+const BOWLING_LOG_FIELDS = Object.keys(deriveBowlingFromBalls([]));
+
+// Kept outside the main component so its local state (extras, dismissal) survives parent re-renders.
+function BallByBallScorer({ title, log = [], onChange }) {
+  const [extraRuns, setExtraRuns] = useState("0");
+  const [dismissal, setDismissal] = useState("Bowled");
+  const [wicketOff, setWicketOff] = useState("bat");
+
+  const add = (ev) => onChange([...log, ev]);
+  const removeAt = (i) => onChange(log.filter((_, j) => j !== i));
+  const extra = toInt(extraRuns);
+
+  return (
+    <div className="grid gap-2 p-3 rounded-2xl border bg-white">
+      <div className="flex items-center justify-between">
+        <div className="text-sm font-medium">{title}</div>
+        <div className="flex gap-2">
+          <Button size="sm" variant="outline" disabled={!log.length} onClick={() => onChange(log.slice(0, -1))}>Undo</Button>
+          <Button size="sm" variant="outline" disabled={!log.length} onClick={() => confirm("Clear this ball log?") && onChange([])}>Clear</Button>
+        </div>
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <Button size="sm" variant="outline" onClick={() => add({ type: "dot" })}>•</Button>
+        {[1, 2, 3, 4, 5, 6].map((r) => (
+          <Button key={r} size="sm" variant="outline" onClick={() => add({ type: "run", runs: r })}>{r}</Button>
+        ))}
+        <Button size="sm" variant="outline" onClick={() => add({ type: "wide", runs: extra })}>Wd</Button>
+        <Button size="sm" variant="outline" onClick={() => add({ type: "noBall", runs: extra })}>Nb</Button>
+        <Button size="sm" variant="outline" onClick={() => add({ type: "bye", runs: Math.max(1, extra) })}>Bye</Button>
+        <div className="w-20">
+          <Select value={extraRuns} onValueChange={setExtraRuns}>
+            <SelectTrigger><SelectValue placeholder="+runs"/></SelectTrigger>
+            <SelectContent>{[0, 1, 2, 3, 4, 6].map(r => <SelectItem key={r} value={String(r)}>+{r}</SelectItem>)}</SelectContent>
+          </Select>
+        </div>
+        <div className="w-36">
+          <Select value={dismissal} onValueChange={setDismissal}>
+            <SelectTrigger><SelectValue placeholder="Dismissal"/></SelectTrigger>
+            <SelectContent>{DISMISSALS.filter(d => d !== "Not Out").map(d => <SelectItem key={d} value={d}>{d}</SelectItem>)}</SelectContent>
+          </Select>
+        </div>
+        <div className="w-32">
+          <Select value={wicketOff} onValueChange={setWicketOff}>
+            <SelectTrigger><SelectValue placeholder="Off"/></SelectTrigger>
+            <SelectContent>
+              <SelectItem value="bat">Off the bat</SelectItem>
+              <SelectItem value="wide">Off a wide</SelectItem>
+              <SelectItem value="noBall">Off a no-ball</SelectItem>
+              <SelectItem value="bye">After byes</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+        <Button size="sm" variant="destructive" onClick={() => add(dismissal === "Retired Hurt" ? { type: "wicket", dismissal } : {
+          type: "wicket",
+          dismissal,
+          ...(wicketOff === "bat" ? {} : { extra: wicketOff }),
+          ...(extra || wicketOff === "bye" ? { runs: wicketOff === "bye" ? Math.max(1, extra) : extra } : {}),
+        })}>Wicket</Button>
+      </div>
+      <div className="text-xs text-gray-500">+runs applies to Wd (extra runs), Nb (runs off the bat) and Bye, and to a Wicket for runs completed first (run out going for the second: +1, off the bat). Retired Hurt doesn't use up a ball. Click a ball to remove it.</div>
+      {log.length === 0 ? (
+        <div className="text-xs text-gray-400">No deliveries logged yet.</div>
+      ) : (
+        <div className="grid gap-1">
+          {groupBallsByOver(log).map((over, o) => (
+            <div key={o} className="flex flex-wrap items-center gap-1 text-xs">
+              <span className="w-12 text-gray-500">Ov {o + 1}</span>
+              {over.map(({ ev, i }) => (
+                <button key={i} type="button" title="Remove this ball" onClick={() => removeAt(i)}
+                  className={`px-2 py-0.5 rounded-full border ${ev.type === "wicket" ? "bg-red-100" : isLegalBall(ev) ? "bg-gray-50" : "bg-yellow-100"}`}>
+                  {ballLabel(ev)}
+                </button>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ------------ Wagon Wheel Diagram ------------ //
+// Field diagram with the batter in the middle and the bowler towards the top. `values` are
+// per-zone labels/weights: { [zoneKey]: { text, weight 0–1 } }. Clicking calls onPick(zoneKey).
+function WagonWheel({ values = {}, leftHanded = false, onPick, size = 240 }) {
+  const c = size / 2;
+  const r = c - 6;
+  const pick = (ev) => {
+    if (!onPick) return;
+    const box = ev.currentTarget.getBoundingClientRect();
+    const scale = size / box.width;
+    onPick(wagonZoneAt((ev.clientX - box.left) * scale - c, (ev.clientY - box.top) * scale - c, leftHanded));
+  };
+  return (
+    <svg viewBox={`0 0 ${size} ${size}`} className={`w-full max-w-xs ${onPick ? "cursor-crosshair" : ""}`} onClick={pick}>
+      <circle cx={c} cy={c} r={r} fill="#dcfce7" stroke="#86efac" />
+      {WAGON_ZONES.map((z, i) => {
+        const [lx, ly] = wagonPoint(i * 45 + 22.5, r * 0.68, c, leftHanded);
+        const v = values[z.key];
+        return (
+          <g key={z.key}>
+            <path d={wagonWedgePath(i, r, c, leftHanded)} fill="#16a34a" fillOpacity={v?.weight ? 0.1 + v.weight * 0.7 : 0} stroke="#86efac" />
+            <text x={lx} y={ly - 4} fontSize="8" textAnchor="middle" fill="#14532d">{z.label.split(" / ")[0]}</text>
+            {v?.text != null && <text x={lx} y={ly + 8} fontSize="10" fontWeight="600" textAnchor="middle" fill="#14532d">{v.text}</text>}
+          </g>
+        );
+      })}
+      <circle cx={c} cy={c} r={r * 0.4} fill="none" stroke="#86efac" strokeDasharray="3 3" />
+      <rect x={c - 4} y={c - r * 0.3} width={8} height={r * 0.3 + 4} fill="#d6b98c" />
+    </svg>
+  );
+}
+
+// Per-innings capture: pick the runs, then click where the shot went.
+function WagonWheelInput({ shots = [], leftHanded, onChange, error }) {
+  const [open, setOpen] = useState(shots.length > 0);
+  const [runs, setRuns] = useState(4);
+  const totals = Object.fromEntries(WAGON_ZONES.map((z) => [z.key, shots.filter((s) => s.zone === z.key).reduce((a, s) => a + s.runs, 0)]));
+  const max = Math.max(1, ...Object.values(totals));
+  const label = (key) => WAGON_ZONES.find((z) => z.key === key)?.label || key;
+
+  return (
+    <div className="grid gap-2 p-3 rounded-2xl border bg-white">
+      <div className="flex items-center justify-between">
+        <div className="text-sm font-medium">Wagon wheel <span className="text-gray-500 font-normal">({shots.length} shots, {shots.reduce((a, s) => a + s.runs, 0)} runs)</span></div>
+        <div className="flex gap-2">
+          {open && <Button size="sm" variant="outline" disabled={!shots.length} onClick={() => onChange(shots.slice(0, -1))}>Undo</Button>}
+          {open && <Button size="sm" variant="outline" disabled={!shots.length} onClick={() => confirm("Clear this wagon wheel?") && onChange([])}>Clear</Button>}
+          <Button size="sm" variant="outline" onClick={() => setOpen((v) => !v)}>{open ? "Hide" : "Record shots"}</Button>
+        </div>
+      </div>
+      {open && (
+        <div className="grid md:grid-cols-2 gap-3 items-start">
+          <WagonWheel leftHanded={leftHanded} onPick={(zone) => onChange([...shots, { zone, runs }])}
+            values={Object.fromEntries(WAGON_ZONES.map((z) => [z.key, { text: totals[z.key] || null, weight: totals[z.key] / max }]))} />
+          <div className="grid gap-2">
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              Runs for next shot:
+              {WAGON_SHOT_RUNS.map((n) => (
+                <Button key={n} size="sm" variant={runs === n ? "default" : "outline"} onClick={() => setRuns(n)}>{n}</Button>
+              ))}
+            </div>
+            <div className="text-xs text-gray-500">Click the field where the shot went{leftHanded ? " (mirrored for a left-hander)" : ""}. Click a shot below to remove it.</div>
+            <div className="flex flex-wrap gap-1 text-xs">
+              {shots.map((s, i) => (
+                <button key={i} type="button" title="Remove this shot" onClick={() => onChange(shots.filter((_, j) => j !== i))}
+                  className={`px-2 py-0.5 rounded-full border ${s.runs >= 4 ? "bg-green-100" : "bg-gray-50"}`}>
+                  {s.runs} · {label(s.zone)}
+                </button>
+              ))}
+            </div>
+            {error && <div className="text-xs text-red-600">{error}</div>}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ------------ Pitch Map Grid ------------ //
+// Lengths run from the batter's stumps (top) back towards the bowler; lines run off to leg.
+// `cells` maps `${line}:${length}` to { text, weight 0–1, title }. Clicking calls onPick(line, length).
+function PitchMap({ cells = {}, onPick }) {
+  return (
+    <div className="grid gap-1 text-xs" style={{ gridTemplateColumns: `5rem repeat(${PITCH_LINES.length}, minmax(0, 1fr))` }}>
+      <div />
+      {PITCH_LINES.map((l) => <div key={l.key} className="text-center text-gray-500">{l.label}</div>)}
+      {PITCH_LENGTHS.map((len) => (
+        <React.Fragment key={len.key}>
+          <div className="text-gray-500 flex items-center">{len.label}</div>
+          {PITCH_LINES.map((line) => {
+            const cell = cells[`${line.key}:${len.key}`];
+            return (
+              <button key={line.key} type="button" title={cell?.title || `${len.label}, ${line.label}`} disabled={!onPick}
+                onClick={() => onPick?.(line.key, len.key)}
+                className={`h-10 rounded border border-amber-200 ${onPick ? "hover:ring-2 ring-amber-400" : "cursor-default"}`}
+                style={{ backgroundColor: `rgba(220, 38, 38, ${cell?.weight ? 0.1 + cell.weight * 0.7 : 0})`, backgroundClip: "padding-box" }}>
+                {cell?.text ?? ""}
+              </button>
+            );
+          })}
+        </React.Fragment>
+      ))}
+    </div>
+  );
+}
+
+// Per-spell capture: choose the outcome, then click where the ball pitched.
+function PitchMapInput({ deliveries = [], onChange, error }) {
+  const [open, setOpen] = useState(deliveries.length > 0);
+  const [outcome, setOutcome] = useState("dot");
+  const [dismissal, setDismissal] = useState("Bowled");
+  const outcomes = [
+    ["dot", "•", { type: "dot" }],
+    ...[1, 2, 3, 4, 6].map((r) => [`run${r}`, String(r), { type: "run", runs: r }]),
+    ["wide", "Wd", { type: "wide", runs: 0 }],
+    ["noBall", "Nb", { type: "noBall", runs: 0 }],
+    ["wicket", "W", { type: "wicket", dismissal }],
+  ];
+  const event = outcomes.find(([k]) => k === outcome)[2];
+  const counts = {};
+  for (const d of deliveries) counts[`${d.line}:${d.length}`] = (counts[`${d.line}:${d.length}`] || 0) + 1;
+  const max = Math.max(1, ...Object.values(counts));
+  const spell = deriveBowlingFromBalls(deliveries);
+
+  return (
+    <div className="grid gap-2 p-3 rounded-2xl border bg-white">
+      <div className="flex items-center justify-between">
+        <div className="text-sm font-medium">Pitch map <span className="text-gray-500 font-normal">({deliveries.length} deliveries, {spell.overs} ov, {spell.runsConceded} runs, {spell.wickets} wkts)</span></div>
+        <div className="flex gap-2">
+          {open && <Button size="sm" variant="outline" disabled={!deliveries.length} onClick={() => onChange(deliveries.slice(0, -1))}>Undo</Button>}
+          {open && <Button size="sm" variant="outline" disabled={!deliveries.length} onClick={() => confirm("Clear this pitch map?") && onChange([])}>Clear</Button>}
+          <Button size="sm" variant="outline" onClick={() => setOpen((v) => !v)}>{open ? "Hide" : "Log deliveries"}</Button>
+        </div>
+      </div>
+      {open && (
+        <>
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            Outcome:
+            {outcomes.map(([k, label]) => (
+              <Button key={k} size="sm" variant={outcome === k ? "default" : "outline"} onClick={() => setOutcome(k)}>{label}</Button>
+            ))}
+            {outcome === "wicket" && (
+              <div className="w-36">
+                <Select value={dismissal} onValueChange={setDismissal}>
+                  <SelectTrigger><SelectValue placeholder="Dismissal"/></SelectTrigger>
+                  <SelectContent>{DISMISSALS.filter(d => d !== "Not Out" && d !== "Run Out" && d !== "Retired Hurt").map(d => <SelectItem key={d} value={d}>{d}</SelectItem>)}</SelectContent>
+                </Select>
+              </div>
+            )}
+          </div>
+          <PitchMap onPick={(line, length) => onChange([...deliveries, { ...event, line, length }])}
+            cells={Object.fromEntries(Object.entries(counts).map(([k, n]) => [k, { text: n, weight: n / max }]))} />
+          <div className="flex flex-wrap gap-1 text-xs">
+            {deliveries.map((d, i) => (
+              <button key={i} type="button" title="Remove this delivery" onClick={() => onChange(deliveries.filter((_, j) => j !== i))}
+                className={`px-2 py-0.5 rounded-full border ${d.type === "wicket" ? "bg-red-100" : isLegalBall(d) ? "bg-gray-50" : "bg-yellow-100"}`}>
+                {ballLabel(d)} · {PITCH_LENGTHS.find((l) => l.key === d.length)?.label}
+              </button>
+            ))}
+          </div>
+          {error && <div className="text-xs text-red-600">{error}</div>}
+        </>
+      )}
+    </div>
+  );
+}
+
+// ------------ Quick Entry ------------ //
+// Shorthand / pasted scorecard box above the match form. Shows how every piece was read
+// (unknown pieces in red) and only touches the form when "Fill form" is pressed.
+function QuickEntryBox({ onApply }) {
+  const [text, setText] = useState("");
+  const { fields, parts } = useMemo(() => parseQuickEntry(text), [text]);
+  const unparsed = parts.filter((p) => !p.ok).length;
+
+  return (
+    <div className="grid gap-2 p-3 rounded-2xl border bg-white mb-4">
+      <div className="flex items-center justify-between">
+        <div className="text-sm font-medium">Quick entry <span className="text-gray-500 font-normal">e.g. <code>45(32) 4x5 6x2 c</code>, <code>4-0-28-2 1w 1nb</code>, <code>2ct</code>, or paste a scorecard row</span></div>
+        <div className="flex gap-2">
+          <Button size="sm" variant="outline" disabled={!text} onClick={() => setText("")}>Clear</Button>
+          <Button size="sm" disabled={!Object.keys(fields).length} onClick={() => onApply(fields)}>Fill form</Button>
+        </div>
+      </div>
+      <Textarea rows={2} value={text} onChange={(e) => setText(e.target.value)} placeholder="45*(32) 4x5 6x2 · 4-0-28-2 1w 1nb · 2ct" />
+      {parts.length > 0 && (
+        <div className="flex flex-wrap gap-1 text-xs">
+          {parts.map((p, i) => (
+            <span key={i} title={p.ok ? p.label : "Not understood – fix or fill this in by hand"}
+              className={`px-2 py-0.5 rounded-full border ${p.ok ? "bg-emerald-50 border-emerald-200" : "bg-red-50 border-red-300 text-red-700"}`}>
+              <span className="font-mono">{p.text}</span>{p.ok && <span className="text-gray-500"> → {p.label}</span>}
+            </span>
+          ))}
+        </div>
+      )}
+      {unparsed > 0 && <div className="text-xs text-red-600">{unparsed} part(s) not understood and will be ignored.</div>}
+    </div>
+  );
+}
+
+// ------------ Skill Benchmarks Editor ------------ //
+// One row per radar axis, a zero/full pair per format. Blank or non-numeric cells fall back to the defaults.
+function SkillBenchmarksEditor({ benchmarks, onChange, onReset }) {
+  const formats = [...BENCHMARK_FORMATS, "default"];
+  const setBand = (format, axis, i, v) => {
+    const band = [...(benchmarks[format]?.[axis] ?? DEFAULT_SKILL_BENCHMARKS[format][axis])];
+    band[i] = v;
+    onChange({ ...benchmarks, [format]: { ...benchmarks[format], [axis]: band } });
+  };
+
+  return (
+    <div className="grid gap-2 text-xs">
+      <div className="text-gray-500">
+        Score 0 at the first number and 100 at the second, per format. For lower-is-better measures (dot %, balls per wicket, economy) put the bigger number first.
+        Bands marked red are blank or have equal ends; the default band is used for those.
+      </div>
+      <div className="overflow-auto rounded-2xl border">
+        <table className="min-w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="p-2 text-left">Axis</th>
+              {formats.map((f) => <th key={f} className="p-2 text-left">{f === "default" ? "Other" : f}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {SKILL_AXES.map(([label, axis]) => (
+              <tr key={axis} className="border-t">
+                <td className="p-2"><div className="font-medium">{label}</div><div className="text-gray-500">{SKILL_MEASURES[axis].label}</div></td>
+                {formats.map((f) => (
+                  <td key={f} className="p-2">
+                    <div className="flex items-center gap-1" title={isValidSkillBand(benchmarks[f]?.[axis]) ? undefined : "Needs two different numbers; using the default band"}>
+                      {[0, 1].map((i) => (
+                        <Input key={i} className={`w-16 ${isValidSkillBand(benchmarks[f]?.[axis]) ? "" : "border-red-400"}`} inputMode="decimal" value={benchmarks[f]?.[axis]?.[i] ?? ""} onChange={(e) => setBand(f, axis, i, e.target.value)} />
+                      ))}
+                    </div>
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div>
+        <Button variant="outline" onClick={() => confirm("Reset all skill benchmarks to the defaults?") && onReset()}>Reset to Defaults</Button>
+      </div>
+    </div>
+  );
+}
+
+// ------------ Insight Rules Editor ------------ //
+function InsightRulesEditor({ rules, onChange, onReset }) {
+  const update = (id, patch) => onChange(rules.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+  const setThreshold = (r, key, v) => update(r.id, { thresholds: { ...r.thresholds, [key]: v } });
+  const addRule = () => onChange([...rules, {
+    id: `custom-${crypto.randomUUID()}`, custom: true, area: "Custom", metric: "strikeRate", op: "<",
+    thresholds: { T20: "", ODI: "", Test: "", T10: "", default: "" }, severity: "info", enabled: true,
+    message: "{format}: value {value} crossed {threshold}.",
+  }]);
+
+  return (
+    <div className="grid gap-3">
+      <div className="text-xs text-gray-500">
+        Thresholds are per format; leave one blank to skip the rule for that format. Messages can use {"{value}"}, {"{threshold}"}, {"{format}"} and {"{matches}"}.
+      </div>
+      {rules.map((r) => (
+        <div key={r.id} className={`p-3 rounded-2xl border bg-white grid gap-2 ${r.enabled ? "" : "opacity-60"}`}>
+          <div className="flex flex-wrap items-center gap-2">
+            <input type="checkbox" checked={!!r.enabled} onChange={(e) => update(r.id, { enabled: e.target.checked })} />
+            <Input className="w-36" value={r.area} onChange={(e) => update(r.id, { area: e.target.value })} />
+            <div className="w-52">
+              <Select value={r.metric} onValueChange={(v) => update(r.id, { metric: v })}>
+                <SelectTrigger><SelectValue placeholder="Metric"/></SelectTrigger>
+                <SelectContent>{INSIGHT_METRICS.map(m => <SelectItem key={m.key} value={m.key}>{m.label}</SelectItem>)}</SelectContent>
+              </Select>
+            </div>
+            <div className="w-20">
+              <Select value={r.op} onValueChange={(v) => update(r.id, { op: v })}>
+                <SelectTrigger><SelectValue placeholder="Op"/></SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="<">&lt;</SelectItem>
+                  <SelectItem value=">">&gt;</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="w-32">
+              <Select value={r.severity} onValueChange={(v) => update(r.id, { severity: v })}>
+                <SelectTrigger><SelectValue placeholder="Severity"/></SelectTrigger>
+                <SelectContent>{SEVERITIES.map(sv => <SelectItem key={sv} value={sv}>{sv}</SelectItem>)}</SelectContent>
+              </Select>
+            </div>
+            {r.custom && <Button size="sm" variant="destructive" onClick={() => onChange(rules.filter((x) => x.id !== r.id))}>Delete</Button>}
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-xs">
+            {[...BENCHMARK_FORMATS, "default"].map((f) => (
+              <label key={f} className="flex items-center gap-1">
+                <span className="text-gray-500">{f === "default" ? "Other" : f}</span>
+                <Input className="w-20" inputMode="decimal" value={r.thresholds?.[f] ?? ""} onChange={(e) => setThreshold(r, f, e.target.value)} />
+              </label>
+            ))}
+          </div>
+          <Input value={r.message} onChange={(e) => update(r.id, { message: e.target.value })} />
+        </div>
+      ))}
+      <div className="flex gap-2">
+        <Button variant="outline" onClick={addRule}><Plus className="w-4 h-4 mr-2"/>Add Rule</Button>
+        <Button variant="outline" onClick={() => confirm("Reset all insight rules to the defaults?") && onReset()}>Reset to Defaults</Button>
+      </div>
+    </div>
+  );
+}
+
+// ------------ Goal Form ------------ //
+function GoalForm({ onAdd }) {
+  const blank = { metric: "strikeRate", op: ">=", target: "", format: "all", startDate: todayISO(), deadline: "", matchLimit: "" };
+  const [g, setG] = useState(blank);
+
+  const submit = () => {
+    if (!Number.isFinite(Number(g.target)) || g.target === "") return alert("Enter a numeric target.");
+    if (!g.deadline && !toInt(g.matchLimit)) return alert("Set a deadline, a number of matches, or both.");
+    onAdd({ ...g, target: Number(g.target), matchLimit: toInt(g.matchLimit) || null });
+    setG(blank);
+  };
+
+  return (
+    <div className="grid md:grid-cols-8 gap-3 items-end">
+      <div className="md:col-span-2 flex flex-col gap-1">
+        <Label className="text-sm text-gray-600">Metric</Label>
+        <Select value={g.metric} onValueChange={(v) => setG({ ...g, metric: v })}>
+          <SelectTrigger><SelectValue placeholder="Metric"/></SelectTrigger>
+          <SelectContent>{GOAL_METRICS.map(m => <SelectItem key={m.key} value={m.key}>{m.label}</SelectItem>)}</SelectContent>
+        </Select>
+      </div>
+      <div className="flex flex-col gap-1">
+        <Label className="text-sm text-gray-600">Target</Label>
+        <div className="flex gap-1">
+          <div className="w-16">
+            <Select value={g.op} onValueChange={(v) => setG({ ...g, op: v })}>
+              <SelectTrigger><SelectValue placeholder="≥"/></SelectTrigger>
+              <SelectContent>
+                <SelectItem value=">=">≥</SelectItem>
+                <SelectItem value="<=">≤</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          <Input inputMode="decimal" value={g.target} onChange={(e) => setG({ ...g, target: e.target.value })} />
+        </div>
+      </div>
+      <div className="flex flex-col gap-1">
+        <Label className="text-sm text-gray-600">Format</Label>
+        <Select value={g.format} onValueChange={(v) => setG({ ...g, format: v })}>
+          <SelectTrigger><SelectValue placeholder="Format"/></SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All formats</SelectItem>
+            {DEFAULT_FORMATS.map(f => <SelectItem key={f} value={f}>{f}</SelectItem>)}
+          </SelectContent>
+        </Select>
+      </div>
+      <div className="flex flex-col gap-1">
+        <Label className="text-sm text-gray-600">Counting from</Label>
+        <Input type="date" value={g.startDate} onChange={(e) => setG({ ...g, startDate: e.target.value })} />
+      </div>
+      <div className="flex flex-col gap-1">
+        <Label className="text-sm text-gray-600">Deadline</Label>
+        <Input type="date" value={g.deadline} onChange={(e) => setG({ ...g, deadline: e.target.value })} />
+      </div>
+      <div className="flex flex-col gap-1">
+        <Label className="text-sm text-gray-600">Over next N matches</Label>
+        <Input inputMode="numeric" placeholder="optional" value={g.matchLimit} onChange={(e) => setG({ ...g, matchLimit: e.target.value })} />
+      </div>
+      <Button onClick={submit}><Plus className="w-4 h-4 mr-2"/>Add Goal</Button>
+    </div>
+  );
+}
+
 // ------------ Main Component ------------ //
 export default function CricketTrackerApp() {
-  const [entries, setEntries] = useState(() => {
+  // Mirrors the repository; only commitChanges/updateEntries below should write to it.
+  const [entries, setEntries] = useState([]);
+  const [changeLog, setChangeLog] = useState([]);
+  const [historyId, setHistoryId] = useState(null);
+  // All Entries table: sort, search, paging, expanded rows and the multi-select.
+  const [tableSort, setTableSort] = useState({ key: "date", dir: "desc" });
+  const [tableQuery, setTableQuery] = useState("");
+  const [tablePage, setTablePage] = useState(0);
+  const [pageSize, setPageSize] = useState(PAGE_SIZES[0]);
+  // Rows the user opened or closed by hand (id -> open); they override opening on a search hit.
+  const [openRows, setOpenRows] = useState(() => new Map());
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [retag, setRetag] = useState({ field: "format", value: "" });
+  const [showTrash, setShowTrash] = useState(false);
+  const [splitBy, setSplitBy] = useState("opposition");
+  // Report options while the "Generate Report" panel is open; notes maps takeaway keys to inclusion.
+  const [report, setReport] = useState(null);
+  // Compare panel settings ({ mode, n, seasonA, seasonB, rangeA, rangeB }) while it is open.
+  const [compare, setCompare] = useState(null);
+  const repoRef = useRef(null);
+  // Set when saved data couldn't be loaded; nothing is written until the page is reloaded with it fixed.
+  const [storageError, setStorageError] = useState(null);
+  const [importPreview, setImportPreview] = useState(null);
+  // "Merge from file" in progress: the plan plus per-conflict choices (field -> "mine"/"theirs", or "keep"/"delete").
+  const [mergeSession, setMergeSession] = useState(null);
+  const [deviceId] = useState(getDeviceId);
+  const [csvImport, setCsvImport] = useState(null);
+  const [conflictPolicy, setConflictPolicy] = useState("mine");
+
+  const [players, setPlayers] = useState(() => {
+    try {
+      const raw = localStorage.getItem(PLAYERS_KEY);
+      return raw ? JSON.parse(raw) : [];
+    } catch {
+      return [];
+    }
+  });
+  const [seasons, setSeasons] = useState(() => {
+    try {
+      const raw = localStorage.getItem(SEASONS_KEY);
+      return raw ? JSON.parse(raw) : [];
+    } catch {
+      return [];
+    }
+  });
+  const [competitions, setCompetitions] = useState(() => {
     try {
-      const raw = localStorage.getItem(STORAGE_KEY);
+      const raw = localStorage.getItem(COMPETITIONS_KEY);
       return raw ? JSON.parse(raw) : [];
     } catch {
       return [];
     }
   });
+  const [seasonForm, setSeasonForm] = useState({ id: null, name: "", from: "", to: "" });
+  const [competitionForm, setCompetitionForm] = useState({ id: null, name: "", seasonId: "", from: "", to: "" });
+  // What Quick Stats and everything below them cover: "career", "season" (the current one) or a competition id.
+  const [statsScope, setStatsScope] = useState("career");
+  // Season shown in the Season Summary panel ("" = all seasons).
+  const [summarySeasonId, setSummarySeasonId] = useState(null);
+  const [filters, setFilters] = useState(readFiltersFromURL);
+  const [activePlayerId, setActivePlayerId] = useState(() => localStorage.getItem(ACTIVE_PLAYER_KEY) || ALL_PLAYERS);
+  const [playerForm, setPlayerForm] = useState({ id: null, name: "", role: "Batter", battingHand: "Right", bowlingStyle: "None" });
 
   const [form, setForm] = useState({
     id: null,
+    playerId: "",
     date: new Date().toISOString().slice(0, 10),
     time: "",
     format: "T20",
     matchType: "Friendly",
+    competitionId: "",
     venue: "",
+    opposition: "",
+    ground: "",
+    bowlerType: "",
+    // Innings context (all optional)
+    battingPosition: "",
+    teamTotal: "",
+    inningsType: "",
+    target: "",
+    result: "",
     // Batting
     runs: "",
     balls: "",
@@ -140,21 +1638,157 @@ export default function CricketTrackerApp() {
     drops: "",
     misfields: "",
     fieldingNotes: "",
+    // Ball-by-ball logs (optional; totals are derived from them when present)
+    battingBalls: [],
+    bowlingBalls: [],
+    wagonWheel: [],
+    pitchMap: [],
   });
+  const [scoringMode, setScoringMode] = useState("summary");
+  const [rollingWindow, setRollingWindow] = useState(5);
+  const [insightRules, setInsightRules] = useState(loadInsightRules);
+  const [skillBenchmarks, setSkillBenchmarks] = useState(loadSkillBenchmarks);
+  const [showBenchmarkSettings, setShowBenchmarkSettings] = useState(false);
+  const [radarMode, setRadarMode] = useState("benchmark");
+  // Index into skillFrames while scrubbing/playing the radar timeline; null shows the live radar.
+  const [radarFrame, setRadarFrame] = useState(null);
+  const [radarPlaying, setRadarPlaying] = useState(false);
+  const [goals, setGoals] = useState(() => {
+    try {
+      const raw = localStorage.getItem(GOALS_KEY);
+      return raw ? JSON.parse(raw) : [];
+    } catch {
+      return [];
+    }
+  });
+  const [showRuleSettings, setShowRuleSettings] = useState(false);
+  const [workloadSettings, setWorkloadSettings] = useState(loadWorkloadSettings);
+  const [workloadRange, setWorkloadRange] = useState(84);
+  const [recordMinBalls, setRecordMinBalls] = useState(DEFAULT_RECORD_MIN_BALLS);
+  const [celebration, setCelebration] = useState(null);
+  const [showValidation, setShowValidation] = useState(false);
+  const validation = useMemo(() => validateEntry(form), [form]);
 
   useEffect(() => {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
-  }, [entries]);
+    let cancelled = false;
+    openEntryRepo().then(({ repo, entries: stored, changes }) => {
+      if (cancelled) return;
+      repoRef.current = repo;
+      setEntries(stored);
+      setChangeLog(changes);
+    }).catch((err) => {
+      if (!cancelled) setStorageError(err.message);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  useEffect(() => {
+    localStorage.setItem(PLAYERS_KEY, JSON.stringify(players));
+  }, [players]);
+
+  useEffect(() => {
+    localStorage.setItem(SEASONS_KEY, JSON.stringify(seasons));
+    localStorage.setItem(COMPETITIONS_KEY, JSON.stringify(competitions));
+  }, [seasons, competitions]);
+
+  useEffect(() => {
+    writeFiltersToURL(filters);
+  }, [filters]);
+
+  useEffect(() => {
+    localStorage.setItem(INSIGHT_RULES_KEY, JSON.stringify(insightRules));
+  }, [insightRules]);
+
+  useEffect(() => {
+    localStorage.setItem(WORKLOAD_KEY, JSON.stringify(workloadSettings));
+  }, [workloadSettings]);
+
+  useEffect(() => {
+    localStorage.setItem(SKILL_BENCHMARKS_KEY, JSON.stringify(skillBenchmarks));
+  }, [skillBenchmarks]);
+
+  useEffect(() => {
+    localStorage.setItem(GOALS_KEY, JSON.stringify(goals));
+  }, [goals]);
+
+  useEffect(() => {
+    localStorage.setItem(ACTIVE_PLAYER_KEY, activePlayerId);
+    // New entries default to whoever is selected in the switcher.
+    if (activePlayerId !== ALL_PLAYERS) setForm((f) => (f.id ? f : { ...f, playerId: activePlayerId }));
+  }, [activePlayerId]);
+
+  // ------------ Persistence & History ------------ //
+  // Every entry mutation goes through here so it lands in the append-only change log.
+  const commitChanges = (label, changes, kind = "edit", ref = null) => {
+    if (!changes.length) return;
+    if (storageError) return alert("Saved data couldn't be read, so nothing is saved until that is fixed (see the message at the top).");
+    if (!repoRef.current) return alert("Still loading saved data, try again in a moment.");
+    const record = makeChangeRecord(label, changes, kind, ref);
+    setEntries((prev) => applyChanges(prev, changes));
+    setChangeLog((prev) => [...prev, record]);
+    repoRef.current.commit(record).catch(() => alert("Could not write to browser storage. Export a backup now."));
+  };
+
+  const updateEntries = (label, updater) => {
+    const next = typeof updater === "function" ? updater(entries) : updater;
+    commitChanges(label, stampChanges(diffEntries(entries, next), deviceId, trash));
+  };
+
+  const undoStacks = useMemo(() => deriveUndoStacks(changeLog), [changeLog]);
+  const trash = useMemo(() => deriveTrash(changeLog, entries), [changeLog, entries]);
+  const tombstones = useMemo(() => deriveTombstones(trash, deviceId), [trash, deviceId]);
+  const historyRows = useMemo(() => (historyId ? entryHistory(changeLog, historyId).reverse() : []), [changeLog, historyId]);
+
+  const undo = () => {
+    const t = undoStacks.undo[undoStacks.undo.length - 1];
+    if (t) commitChanges(`Undo: ${t.label}`, stampChanges(invertChanges(t.changes), deviceId, trash), "undo", t.txn);
+  };
+
+  const redo = () => {
+    const t = undoStacks.redo[undoStacks.redo.length - 1];
+    if (t) commitChanges(`Redo: ${t.label}`, stampChanges(t.changes, deviceId, trash), "redo", t.txn);
+  };
+
+  const restoreVersion = (version, label) => updateEntries(label, (prev) => [...prev.filter((e) => e.id !== version.id), version]);
+
+  // Restoring from the trash builds on the deletion too, so devices that already got the tombstone take it back.
+  const restoreFromTrash = (t) => commitChanges(`Restore ${fmtDate(t.before.date)} entry`, [{ id: t.id, before: null, after: stampEntry(t.before, [{ rev: t.txn }], deviceId) }]);
+
+  // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z, except while typing (inputs keep their own text undo).
+  const shortcuts = useRef({});
+  shortcuts.current = { undo, redo };
+  useEffect(() => {
+    const onKey = (ev) => {
+      if (!(ev.ctrlKey || ev.metaKey) || ev.key.toLowerCase() !== "z") return;
+      if (ev.target.closest?.("input, textarea, select, [contenteditable]")) return;
+      ev.preventDefault();
+      if (ev.shiftKey) shortcuts.current.redo();
+      else shortcuts.current.undo();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
 
   const resetForm = () => {
+    setShowValidation(false);
     setForm((f) => ({
       ...f,
       id: null,
+      playerId: activePlayerId === ALL_PLAYERS ? "" : activePlayerId,
       date: new Date().toISOString().slice(0, 10),
       time: "",
       format: "T20",
       matchType: "Friendly",
+      competitionId: "",
       venue: "",
+      opposition: "",
+      ground: "",
+      bowlerType: "",
+      battingPosition: "",
+      teamTotal: "",
+      inningsType: "",
+      target: "",
+      result: "",
       runs: "",
       balls: "",
       singles: "",
@@ -178,35 +1812,64 @@ export default function CricketTrackerApp() {
       drops: "",
       misfields: "",
       fieldingNotes: "",
+      battingBalls: [],
+      bowlingBalls: [],
+      wagonWheel: [],
+      pitchMap: [],
+    }));
+  };
+
+  // Quick-entry values land in the form as strings, like typed input; validation shows straight away.
+  // A ball log wins on save (coerceEntry re-derives the totals from it), so it is cleared, after asking,
+  // when the quick entry sets totals on that side.
+  const applyQuickEntry = (fields) => {
+    const keys = Object.keys(fields);
+    const clearBatting = form.battingBalls?.length > 0 && keys.some((k) => BATTING_LOG_FIELDS.includes(k));
+    const clearBowling = form.bowlingBalls?.length > 0 && keys.some((k) => BOWLING_LOG_FIELDS.includes(k));
+    const logs = [clearBatting && "batting", clearBowling && "bowling"].filter(Boolean);
+    if (logs.length && !confirm(`This match has a ball-by-ball ${logs.join(" and ")} log, which would replace these totals on save. Clear the log and use the quick entry?`)) return;
+    setForm((f) => ({
+      ...f,
+      ...(clearBatting ? { battingBalls: [] } : {}),
+      ...(clearBowling ? { bowlingBalls: [] } : {}),
+      ...Object.fromEntries(Object.entries(fields).map(([k, v]) => [k, String(v)])),
     }));
+    setShowValidation(true);
+  };
+
+  // Logging a ball rewrites the derived totals in the form so the summary inputs always mirror the log;
+  // removing the last ball clears them again rather than leaving the old totals behind.
+  const blankFields = (keys) => Object.fromEntries(keys.map((k) => [k, k === "dismissal" ? "Not Out" : ""]));
+  const setBattingBalls = (log) => setForm((f) => ({ ...f, battingBalls: log, ...(log.length ? deriveBattingFromBalls(log) : blankFields(BATTING_LOG_FIELDS)) }));
+  const setBowlingBalls = (log) => setForm((f) => ({ ...f, bowlingBalls: log, ...(log.length ? deriveBowlingFromBalls(log) : blankFields(BOWLING_LOG_FIELDS)) }));
+
+  const startEdit = (e) => {
+    setForm({ ...e, ...Object.fromEntries(CONTEXT_FIELDS.map((k) => [k, e[k] ?? ""])), competitionId: e.competitionId || "", battingBalls: e.battingBalls || [], bowlingBalls: e.bowlingBalls || [], wagonWheel: e.wagonWheel || [], pitchMap: e.pitchMap || [] });
+    if (e.battingBalls?.length || e.bowlingBalls?.length) setScoringMode("ball");
   };
 
   const addOrUpdateEntry = () => {
-    const payload = {
-      ...form,
-      id: form.id ?? crypto.randomUUID(),
-      runs: toInt(form.runs),
-      balls: toInt(form.balls),
-      singles: toInt(form.singles),
-      doubles: toInt(form.doubles),
-      triples: toInt(form.triples),
-      fours: toInt(form.fours),
-      sixes: toInt(form.sixes),
-      dots: toInt(form.dots),
-      overs: form.overs === "" ? "" : String(form.overs),
-      bowlBalls: toInt(form.bowlBalls),
-      runsConceded: toInt(form.runsConceded),
-      wickets: toInt(form.wickets),
-      maidens: toInt(form.maidens),
-      wides: toInt(form.wides),
-      noBalls: toInt(form.noBalls),
-      catches: toInt(form.catches),
-      runOuts: toInt(form.runOuts),
-      drops: toInt(form.drops),
-      misfields: toInt(form.misfields),
-    };
+    const { errors, warnings } = validation;
+    if (Object.keys(errors).length) {
+      setShowValidation(true);
+      return;
+    }
+    const warningList = Object.values(warnings);
+    if (warningList.length && !confirm(`Save anyway?\n\n- ${warningList.join("\n- ")}`)) {
+      setShowValidation(true);
+      return;
+    }
+
+    // When a ball log exists it is the source of truth, even if the summary inputs were edited by hand.
+    const payload = coerceEntry(form);
+    // Celebrate what this save newly achieves; re-saving an old century (say, to edit a note) stays quiet.
+    const previous = entries.find((e) => e.id === payload.id);
+    const was = previous ? detectAchievements(entries, previous, recordMinBalls) : [];
+    const fresh = detectAchievements(entries, payload, recordMinBalls).filter((a) => !was.includes(a));
+    if (fresh.length) setCelebration({ date: payload.date, player: payload.playerId ? playerName(payload.playerId) : "", items: fresh });
 
-    setEntries((prev) => {
+    const existing = !!previous;
+    updateEntries(`${existing ? "Edit" : "Add"} ${fmtDate(payload.date)} entry`, (prev) => {
       const idx = prev.findIndex((e) => e.id === payload.id);
       if (idx >= 0) {
         const cp = [...prev];
@@ -218,215 +1881,577 @@ export default function CricketTrackerApp() {
     resetForm();
   };
 
-  const deleteEntry = (id) => setEntries((prev) => prev.filter((e) => e.id !== id));
+  const deleteEntry = (id) => updateEntries("Delete entry", (prev) => prev.filter((e) => e.id !== id));
+
+  const clearAll = () => {
+    if (confirm("Delete ALL entries? They can be brought back with Undo or from the Trash.")) {
+      updateEntries("Delete all entries", []);
+      resetForm();
+    }
+  };
+
+  // `selection` exports just those entries; it leaves tombstones out so merging it elsewhere never deletes anything.
+  const exportJSON = (selection = null) => {
+    const doc = {
+      schemaVersion: SCHEMA_VERSION, exportedAt: new Date().toISOString(), deviceId, players, seasons, competitions,
+      entries: selection || entries, tombstones: selection ? [] : tombstones,
+    };
+    downloadFile(JSON.stringify(doc, null, 2), "application/json", `cricket_tracker_${selection ? "selected_" : ""}${new Date().toISOString().slice(0, 10)}.json`);
+  };
+
+  const exportCSV = (selection = null) => {
+    const list = [...(selection || entries)].sort((a, b) => new Date(a.date) - new Date(b.date));
+    downloadFile(entriesToCSV(list, playerName, competitionName), "text/csv", `cricket_tracker_${selection ? "selected_" : ""}${new Date().toISOString().slice(0, 10)}.csv`);
+  };
+
+  const importCSV = (file) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const [header, ...rows] = parseCSV(String(reader.result).replace(/^\uFEFF/, ""));
+      if (!header || !rows.length) {
+        alert("CSV file has no data rows.");
+        return;
+      }
+      let remembered = {};
+      try { remembered = JSON.parse(localStorage.getItem(CSV_MAPPING_KEY)) || {}; } catch { /* first import */ }
+      setCsvImport({ fileName: file.name, headers: header.cells, rows, mapping: guessCsvMapping(header.cells, remembered) });
+    };
+    reader.readAsText(file);
+  };
+
+  // Mapping is remembered per header name, then rows go through the same preview as JSON imports.
+  const continueCsvImport = () => {
+    const { fileName, headers, rows, mapping } = csvImport;
+    const mapped = Object.values(mapping).filter((k) => k !== CSV_IGNORE);
+    if (!mapped.includes("date")) return alert("Map a column to Date before continuing.");
+    let remembered = {};
+    try { remembered = JSON.parse(localStorage.getItem(CSV_MAPPING_KEY)) || {}; } catch { /* start fresh */ }
+    localStorage.setItem(CSV_MAPPING_KEY, JSON.stringify({ ...remembered, ...mapping }));
+    const records = csvRowsToRecords(headers, rows, mapping, players, competitions);
+    setImportPreview({ fileName, rowLabel: "Line", ...buildImportPreview({ entries: records }, entries, rows.map((r) => r.line)) });
+    setCsvImport(null);
+  };
+
+  // Nothing is applied on import: the file is migrated, validated and shown as a preview first.
+  const importJSON = (file) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      let data;
+      try {
+        data = JSON.parse(reader.result);
+      } catch {
+        alert("Could not parse JSON file.");
+        return;
+      }
+      try {
+        setImportPreview({ fileName: file.name, ...buildImportPreview(migrateData(data), entries) });
+      } catch (e) {
+        alert(e.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  // ------------ Merge from File ------------ //
+
+  const mergeFromFile = (file) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      let doc;
+      try {
+        doc = migrateData(JSON.parse(reader.result));
+      } catch (e) {
+        alert(e instanceof SyntaxError ? "Could not parse JSON file." : e.message);
+        return;
+      }
+      const valid = doc.entries.filter((e) => checkImportedEntry(e).length === 0);
+      const remoteTombstones = (doc.tombstones || []).filter(isTombstone);
+      const plan = planMerge(entries, tombstones, valid.map(coerceEntry), remoteTombstones);
+      const choices = Object.fromEntries(plan.conflicts.map((c) => [c.id, c.kind === "edited" ? {} : "keep"]));
+      setMergeSession({
+        fileName: file.name, fromDevice: doc.deviceId, plan, choices, rejected: doc.entries.length - valid.length,
+        players: doc.players || [], seasons: doc.seasons || [], competitions: doc.competitions || [],
+      });
+    };
+    reader.readAsText(file);
+  };
+
+  const setMergeChoice = (id, choice) => setMergeSession((m) => ({ ...m, choices: { ...m.choices, [id]: choice } }));
+
+  const applyMerge = () => {
+    const { plan, choices, fileName } = mergeSession;
+    const changes = [
+      ...plan.added.map((e) => ({ id: e.id, before: null, after: e })),
+      ...plan.updated.map(({ before, after }) => ({ id: after.id, before, after })),
+      ...plan.deleted.map((e) => ({ id: e.id, before: e, after: null })),
+    ];
+    for (const c of plan.conflicts) {
+      const choice = choices[c.id];
+      if (c.kind === "edited") {
+        const picked = Object.fromEntries(diffFields(c.mine, c.theirs).filter((f) => choice[f] === "theirs").map((f) => [f, c.theirs[f]]));
+        changes.push({ id: c.id, before: c.mine, after: stampEntry(coerceEntry({ ...c.mine, ...picked }), [c.mine, c.theirs], deviceId) });
+      } else if (c.kind === "deletedHere") {
+        // Deleting again records their version as the deleted one, so the tombstone covers it next time.
+        changes.push(choice === "keep"
+          ? { id: c.id, before: null, after: stampEntry(c.theirs, [c.tombstone], deviceId) }
+          : { id: c.id, before: c.theirs, after: null });
+      } else {
+        changes.push(choice === "keep"
+          ? { id: c.id, before: c.mine, after: stampEntry(c.mine, [c.mine, c.tombstone], deviceId) }
+          : { id: c.id, before: c.mine, after: null });
+      }
+    }
+    if (changes.length) commitChanges(`Merge ${fileName}`, changes);
+    else alert("Already in sync with this file.");
+    setPlayers((prev) => addMissingById(prev, mergeSession.players));
+    setSeasons((prev) => addMissingById(prev, mergeSession.seasons));
+    setCompetitions((prev) => addMissingById(prev, mergeSession.competitions));
+    setMergeSession(null);
+  };
+
+  const applyImport = (mode) => {
+    const { fresh, duplicates, conflicts, players: incomingPlayers, seasons: incomingSeasons, competitions: incomingCompetitions } = importPreview;
+    if (mode === "replace") {
+      const incoming = [...fresh, ...duplicates, ...conflicts.map((c) => c.theirs)];
+      if (!confirm(`Replace all ${entries.length} current entries with ${incoming.length} from the file?`)) return;
+      updateEntries(`Replace with ${importPreview.fileName}`, incoming);
+      if (incomingPlayers.length) setPlayers(incomingPlayers);
+      if (incomingSeasons.length || incomingCompetitions.length) {
+        setSeasons(incomingSeasons);
+        setCompetitions(incomingCompetitions);
+      }
+    } else {
+      const theirs = new Map(conflicts.map((c) => [c.theirs.id, c.theirs]));
+      updateEntries(`Merge ${importPreview.fileName}`, (prev) => [...fresh, ...prev.map((e) => (conflictPolicy === "theirs" && theirs.has(e.id) ? theirs.get(e.id) : e))]);
+      setPlayers((prev) => addMissingById(prev, incomingPlayers));
+      setSeasons((prev) => addMissingById(prev, incomingSeasons));
+      setCompetitions((prev) => addMissingById(prev, incomingCompetitions));
+    }
+    setImportPreview(null);
+  };
+
+  // ------------ Squad ------------ //
+  // Memoised on the squad so memos that sort or label by player can list it as a dependency.
+  const playerName = useMemo(() => {
+    const names = new Map(players.map((p) => [p.id, p.name]));
+    return (id) => names.get(id) || "Unassigned";
+  }, [players]);
+  const isLeftHanded = (id) => players.find((p) => p.id === id)?.battingHand === "Left";
+
+  const savePlayer = () => {
+    const name = playerForm.name.trim();
+    if (!name) return alert("Player name is required.");
+    const payload = { ...playerForm, name, id: playerForm.id ?? crypto.randomUUID() };
+    setPlayers((prev) => {
+      const idx = prev.findIndex((p) => p.id === payload.id);
+      if (idx >= 0) {
+        const cp = [...prev];
+        cp[idx] = payload;
+        return cp;
+      }
+      return [...prev, payload];
+    });
+    setPlayerForm({ id: null, name: "", role: "Batter", battingHand: "Right", bowlingStyle: "None" });
+    if (!playerForm.id) setActivePlayerId(payload.id);
+  };
+
+  // Entries are kept (as "Unassigned") so removing a profile never loses match data.
+  const deletePlayer = (id) => {
+    if (!confirm(`Remove ${playerName(id)}? Their entries will be kept as Unassigned.`)) return;
+    setPlayers((prev) => prev.filter((p) => p.id !== id));
+    updateEntries(`Remove player ${playerName(id)}`, (prev) => prev.map((e) => (e.playerId === id ? { ...e, playerId: "" } : e)));
+    if (activePlayerId === id) setActivePlayerId(ALL_PLAYERS);
+  };
+
+  // ------------ Seasons & Competitions ------------ //
+  const competitionName = (id) => competitions.find((c) => c.id === id)?.name || "Unassigned";
+  const seasonName = (id) => seasons.find((x) => x.id === id)?.name || "No season";
+  const thisSeason = useMemo(() => currentSeason(seasons, todayISO()), [seasons]);
+
+  const upsertById = (list, item) => (list.some((x) => x.id === item.id) ? list.map((x) => (x.id === item.id ? item : x)) : [...list, item]);
+
+  const saveSeason = () => {
+    const name = seasonForm.name.trim();
+    if (!name) return alert("Season name is required.");
+    if (seasonForm.from && seasonForm.to && seasonForm.from > seasonForm.to) return alert("Season ends before it starts.");
+    setSeasons((prev) => upsertById(prev, { ...seasonForm, name, id: seasonForm.id ?? crypto.randomUUID() }));
+    setSeasonForm({ id: null, name: "", from: "", to: "" });
+  };
+
+  const saveCompetition = () => {
+    const name = competitionForm.name.trim();
+    if (!name) return alert("Competition name is required.");
+    if (competitionForm.from && competitionForm.to && competitionForm.from > competitionForm.to) return alert("Competition ends before it starts.");
+    setCompetitions((prev) => upsertById(prev, { ...competitionForm, name, id: competitionForm.id ?? crypto.randomUUID() }));
+    setCompetitionForm({ id: null, name: "", seasonId: "", from: "", to: "" });
+  };
+
+  // Competitions stay (without a season) when their season is removed.
+  const deleteSeason = (id) => {
+    if (!confirm(`Remove season ${seasonName(id)}? Its competitions and entries are kept.`)) return;
+    setSeasons((prev) => prev.filter((x) => x.id !== id));
+    setCompetitions((prev) => prev.map((c) => (c.seasonId === id ? { ...c, seasonId: "" } : c)));
+  };
+
+  // Like removing a player: the entries are kept, just no longer assigned.
+  const deleteCompetition = (id) => {
+    if (!confirm(`Remove ${competitionName(id)}? Its entries will be kept as Unassigned.`)) return;
+    setCompetitions((prev) => prev.filter((c) => c.id !== id));
+    updateEntries(`Remove competition ${competitionName(id)}`, (prev) => prev.map((e) => (e.competitionId === id ? { ...e, competitionId: "" } : e)));
+    if (statsScope === id) setStatsScope("career");
+  };
+
+  const filteredEntries = useMemo(() => applyFilters(entries, filters), [entries, filters]);
+
+  const squadRows = useMemo(() => players.map((p) => {
+    const t = sumTotals(filteredEntries.filter((e) => e.playerId === p.id));
+    return {
+      ...p,
+      matches: t.matches,
+      runs: t.runs,
+      average: calcBattingAverage(t.runs, t.outs),
+      sr: calcStrikeRate(t.runs, t.balls),
+      wickets: t.wickets,
+      economy: calcEconomyFromBalls(t.runsConceded, t.bowlBalls),
+      dismissals: t.catches + t.runOuts,
+    };
+  }), [players, filteredEntries]);
+
+  // ------------ Goals ------------ //
+  const addGoal = (g) => setGoals((prev) => [...prev, {
+    ...g,
+    id: crypto.randomUUID(),
+    playerId: activePlayerId === ALL_PLAYERS ? "" : activePlayerId,
+    createdAt: todayISO(),
+    status: "active",
+  }]);
+
+  const goalRows = useMemo(() => goals
+    .filter((g) => activePlayerId === ALL_PLAYERS || g.playerId === activePlayerId)
+    .map((g) => ({ ...g, result: g.status === "active" ? evaluateGoal(g, entries) : null })), [goals, entries, activePlayerId]);
+
+  // Settled goals are archived with the date they were decided; their final value is frozen.
+  useEffect(() => {
+    const today = todayISO();
+    const settle = goals.filter((g) => g.status === "active").map((g) => [g.id, evaluateGoal(g, entries, today)]).filter(([, r]) => r.settled);
+    if (!settle.length) return;
+    const byId = new Map(settle);
+    setGoals((prev) => prev.map((g) => {
+      const r = byId.get(g.id);
+      return r ? { ...g, status: r.status, settledAt: today, finalValue: r.value } : g;
+    }));
+  }, [goals, entries]);
+
+  const goalLabel = (g) => {
+    const metric = GOAL_METRICS.find((m) => m.key === g.metric)?.label || g.metric;
+    const scope = [g.format !== "all" && g.format, g.matchLimit && `next ${g.matchLimit} matches`, g.deadline && `by ${fmtDate(g.deadline)}`].filter(Boolean).join(", ");
+    return `${g.playerId ? `${playerName(g.playerId)}: ` : ""}${metric} ${g.op === ">=" ? "≥" : "≤"} ${g.target}${scope ? ` (${scope})` : ""}`;
+  };
+
+  // ------------ Derived Metrics & Insights ------------ //
+  // Everything below is scoped to the player picked in the switcher, the filter bar and the stats scope.
+  const playerEntries = useMemo(() => {
+    return activePlayerId === ALL_PLAYERS ? filteredEntries : filteredEntries.filter((e) => e.playerId === activePlayerId);
+  }, [filteredEntries, activePlayerId]);
+
+  // Without named seasons, "this season" is the calendar year.
+  const scopedEntries = useMemo(() => {
+    if (statsScope === "career") return playerEntries;
+    if (statsScope === "season") {
+      return thisSeason
+        ? playerEntries.filter((e) => entrySeasonId(e, seasons, competitions) === thisSeason.id)
+        : periodEntries(playerEntries, { kind: "season", year: todayISO().slice(0, 4) });
+    }
+    return playerEntries.filter((e) => e.competitionId === statsScope);
+  }, [playerEntries, statsScope, thisSeason, seasons, competitions]);
+
+  const summarySeason = summarySeasonId === null ? thisSeason : seasons.find((x) => x.id === summarySeasonId) || null;
+
+  const seasonSummary = useMemo(() => {
+    const list = summarySeason ? playerEntries.filter((e) => entrySeasonId(e, seasons, competitions) === summarySeason.id) : playerEntries;
+    const comps = summarySeason ? competitions.filter((c) => c.seasonId === summarySeason.id || list.some((e) => e.competitionId === c.id)) : competitions;
+    const options = { window: rollingWindow, rules: insightRules, minBalls: recordMinBalls, benchmarks: skillBenchmarks };
+    return { summary: summarizeSeason(list, options), competitions: summarizeCompetitions(list, comps, options) };
+  }, [playerEntries, summarySeason, seasons, competitions, rollingWindow, insightRules, recordMinBalls, skillBenchmarks]);
+
+  const sorted = useMemo(() => {
+    return [...scopedEntries].sort((a, b) => new Date(a.date) - new Date(b.date));
+  }, [scopedEntries]);
+
+  // ------------ All Entries Table ------------ //
+  const tableTerms = useMemo(() => searchTerms(tableQuery), [tableQuery]);
+
+  const tableRows = useMemo(() => {
+    const found = tableTerms.length ? scopedEntries.filter((e) => matchesSearch(e, tableTerms)) : scopedEntries;
+    return sortEntries(found, tableSort, { playerName });
+  }, [scopedEntries, tableTerms, tableSort, playerName]);
+
+  const pageCount = Math.max(1, Math.ceil(tableRows.length / pageSize));
+  const page = Math.min(tablePage, pageCount - 1);
+  const pageRows = useMemo(() => tableRows.slice(page * pageSize, (page + 1) * pageSize), [tableRows, page, pageSize]);
+  // 🏆 badges for the rows on screen, judged against the current entries so back-filled matches count.
+  const rowAchievements = useMemo(
+    () => new Map(pageRows.map((e) => [e.id, detectAchievements(entries, e, recordMinBalls)])),
+    [pageRows, entries, recordMinBalls],
+  );
+  // Selections can outlive their rows (deleted, filtered out, not matching the search); bulk actions
+  // only touch the selected rows still in the table, and the rest are counted as hidden.
+  const selectedEntries = useMemo(() => tableRows.filter((e) => selectedIds.has(e.id)), [tableRows, selectedIds]);
+  const hiddenSelected = useMemo(() => entries.filter((e) => selectedIds.has(e.id)).length - selectedEntries.length, [entries, selectedIds, selectedEntries]);
+
+  useEffect(() => setTablePage(0), [tableTerms, tableSort, pageSize]);
+
+  const sortBy = (key) => setTableSort((s) => ({ key, dir: s.key === key && s.dir === "desc" ? "asc" : "desc" }));
+  const toggleInSet = (setter, id) => setter((prev) => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    return next;
+  });
+  const selectRows = (rows, on) => setSelectedIds((prev) => {
+    const next = new Set(prev);
+    for (const e of rows) on ? next.add(e.id) : next.delete(e.id);
+    return next;
+  });
+
+  const deleteSelected = () => {
+    const ids = new Set(selectedEntries.map((e) => e.id));
+    if (!ids.size || !confirm(`Delete ${ids.size} selected entries? They can be brought back with Undo or from the Trash.`)) return;
+    updateEntries(`Delete ${ids.size} entries`, (prev) => prev.filter((e) => !ids.has(e.id)));
+    setSelectedIds(new Set());
+  };
+
+  const retagSelected = () => {
+    const ids = new Set(selectedEntries.map((e) => e.id));
+    const label = RETAG_FIELDS.find(([k]) => k === retag.field)[1];
+    if (!ids.size) return;
+    if (retag.value === "" && (retag.field === "format" || retag.field === "matchType")) return alert(`Pick a ${label.toLowerCase()} first.`);
+    updateEntries(`Set ${label.toLowerCase()} on ${ids.size} entries`, (prev) => prev.map((e) => (ids.has(e.id) ? { ...e, [retag.field]: retag.value } : e)));
+  };
+
+  const retagOptions = {
+    playerId: [["", "Unassigned"], ...players.map((p) => [p.id, p.name])],
+    format: DEFAULT_FORMATS.map((f) => [f, f]),
+    matchType: MATCH_TYPES.map((m) => [m, m]),
+    competitionId: [["", "None"], ...competitions.map((c) => [c.id, c.name])],
+  }[retag.field];
+
+  const totals = useMemo(() => sumTotals(scopedEntries), [scopedEntries]);
+
+  const battingAverage = useMemo(() => calcBattingAverage(totals.runs, totals.outs), [totals]);
+
+  const battingSR = useMemo(() => calcStrikeRate(totals.runs, totals.balls), [totals]);
+
+  const bowlingEconomy = useMemo(() => calcEconomyFromBalls(totals.runsConceded, totals.bowlBalls), [totals]);
+
+  const dismissalCounts = useMemo(() => countDismissals(scopedEntries), [scopedEntries]);
+
+  const bowlingStats = useMemo(() => calcBowlingStats(scopedEntries), [scopedEntries]);
+
+  const bowlingTrend = useMemo(() => {
+    const bowled = sorted.filter((e) => entryBowlBalls(e) > 0);
+    const rolling = rollingTotals(bowled, rollingWindow);
+    return bowled.map((e, i) => ({
+      date: fmtDate(e.date),
+      economy: calcEconomyFromBalls(e.runsConceded || 0, entryBowlBalls(e)),
+      wickets: e.wickets || 0,
+      rollEconomy: calcEconomyFromBalls(rolling[i].runsConceded, rolling[i].bowlBalls),
+      rollWickets: +(rolling[i].wickets / rolling[i].matches).toFixed(2),
+    }));
+  }, [sorted, rollingWindow]);
+
+  // Load is physical, so it ignores the filter bar and stats scope: every ball the player bowled counts.
+  // One series for the whole squad and one per player ("" = unassigned entries).
+  const workloadSeries = useMemo(() => {
+    const today = todayISO();
+    const ids = [...new Set(entries.map((e) => e.playerId || ""))];
+    return {
+      squad: calcWorkload(entries, today),
+      byPlayer: new Map(ids.map((id) => [id, calcWorkload(entries.filter((e) => (e.playerId || "") === id), today)])),
+    };
+  }, [entries]);
+
+  // Weeks are bucketed over the whole series, then those starting before the range are dropped,
+  // so the first bar isn't a part-week.
+  const workload = useMemo(() => {
+    const series = activePlayerId === ALL_PLAYERS ? workloadSeries.squad : workloadSeries.byPlayer.get(activePlayerId) || [];
+    const shown = workloadRange ? series.slice(-workloadRange) : series;
+    const from = shown[0]?.date;
+    return {
+      now: series[series.length - 1],
+      daily: shown.map((p) => ({ ...p, label: fmtDate(p.date) })),
+      weekly: weeklyWorkload(series).filter((w) => w.week >= from).map((w) => ({ ...w, label: fmtDate(w.week) })),
+    };
+  }, [workloadSeries, activePlayerId, workloadRange]);
+
+  // With the whole squad selected, each bowler is checked on their own load.
+  const workloadWarnings = useMemo(() => {
+    if (activePlayerId !== ALL_PLAYERS) return workloadInsights(workloadSeries.byPlayer.get(activePlayerId) || [], workloadSettings);
+    const { byPlayer } = workloadSeries;
+    return [...byPlayer].flatMap(([id, series]) => workloadInsights(series, workloadSettings, byPlayer.size > 1 ? playerName(id) : ""));
+  }, [workloadSeries, activePlayerId, workloadSettings, playerName]);
+
+  const records = useMemo(() => calcRecords(scopedEntries, recordMinBalls), [scopedEntries, recordMinBalls]);
+
+  const runTrend = useMemo(() => {
+    const rolling = rollingTotals(sorted, rollingWindow);
+    return sorted.map((e, i) => ({
+      idx: i + 1,
+      date: fmtDate(e.date),
+      runs: e.runs || 0,
+      sr: calcStrikeRate(e.runs || 0, e.balls || 0),
+      position: e.battingPosition || null,
+      rollAvg: calcBattingAverage(rolling[i].runs, rolling[i].outs),
+      rollSR: calcStrikeRate(rolling[i].runs, rolling[i].balls),
+    }));
+  }, [sorted, rollingWindow]);
+
+  // runTrend with each innings' runs moved into a series for its batting position (pos1, pos2...).
+  const positionTrend = useMemo(() => {
+    const positions = [...new Set(runTrend.map((r) => r.position).filter(Boolean))].sort((a, b) => a - b);
+    return { positions, data: runTrend.map((r) => (r.position ? { ...r, [`pos${r.position}`]: r.runs } : r)) };
+  }, [runTrend]);
+
+  const runShare = useMemo(() => calcRunShare(scopedEntries.filter(hasBatted)), [scopedEntries]);
+
+  const wagon = useMemo(() => calcWagonZones(scopedEntries), [scopedEntries]);
+
+  const splits = useMemo(() => calcSplits(scopedEntries, splitBy), [scopedEntries, splitBy]);
+
+  // Autocomplete comes from every entry, not just the filtered ones.
+  const oppositionOptions = useMemo(() => distinctValues(entries, "opposition"), [entries]);
+  const groundOptions = useMemo(() => distinctValues(entries, "ground"), [entries]);
+
+  const pitchMap = useMemo(() => calcPitchMap(scopedEntries), [scopedEntries]);
 
-  const clearAll = () => {
-    if (confirm("Delete ALL entries? This cannot be undone.")) {
-      setEntries([]);
-      resetForm();
-    }
-  };
+  const formIndex = useMemo(() => calcFormIndex(scopedEntries, rollingWindow), [scopedEntries, rollingWindow]);
 
-  const exportJSON = () => {
-    const blob = new Blob([JSON.stringify(entries, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `cricket_tracker_${new Date().toISOString().slice(0, 10)}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
-  };
+  const scoringBreakdown = useMemo(() => calcScoringBreakdown(scopedEntries), [scopedEntries]);
 
-  const importJSON = (file) => {
-    const reader = new FileReader();
-    reader.onload = () => {
-      try {
-        const data = JSON.parse(reader.result);
-        if (Array.isArray(data)) {
-          setEntries(data);
-        } else {
-          alert("Invalid file: expected an array of entries.");
-        }
-      } catch (e) {
-        alert("Could not parse JSON file.");
-      }
-    };
-    reader.readAsText(file);
-  };
+  // Percentile mode ranks the current form window against the player's own earlier windows.
+  const skillScores = useMemo(() => {
+    return radarMode === "percentile" ? calcSkillPercentiles(scopedEntries, rollingWindow) : calcSkillScores(scopedEntries, skillBenchmarks);
+  }, [scopedEntries, radarMode, rollingWindow, skillBenchmarks]);
 
-  // ------------ Derived Metrics & Insights ------------ //
-  const sorted = useMemo(() => {
-    return [...entries].sort((a, b) => new Date(a.date) - new Date(b.date));
-  }, [entries]);
+  // One radar per match for the time slider; follows the "Stats for" scope, so pick "This season" to replay a season.
+  const skillFrames = useMemo(() => {
+    return skillTimeline(scopedEntries, { mode: radarMode, window: rollingWindow, benchmarks: skillBenchmarks });
+  }, [scopedEntries, radarMode, rollingWindow, skillBenchmarks]);
 
-  const totals = useMemo(() => {
-    const t = {
-      matches: entries.length,
-      runs: 0,
-      balls: 0,
-      outs: 0,
-      fours: 0,
-      sixes: 0,
-      dots: 0,
-      wickets: 0,
-      bowlBalls: 0,
-      runsConceded: 0,
-      maidens: 0,
-      catches: 0,
-      runOuts: 0,
-      drops: 0,
-      misfields: 0,
-    };
-    for (const e of entries) {
-      t.runs += e.runs || 0;
-      t.balls += e.balls || 0;
-      t.outs += e.dismissal && e.dismissal !== "Not Out" ? 1 : 0;
-      t.fours += e.fours || 0;
-      t.sixes += e.sixes || 0;
-      t.dots += e.dots || 0;
-      t.wickets += e.wickets || 0;
-      t.bowlBalls += e.bowlBalls || oversToBalls(e.overs);
-      t.runsConceded += e.runsConceded || 0;
-      t.maidens += e.maidens || 0;
-      t.catches += e.catches || 0;
-      t.runOuts += e.runOuts || 0;
-      t.drops += e.drops || 0;
-      t.misfields += e.misfields || 0;
-    }
-    return t;
-  }, [entries]);
+  useEffect(() => {
+    setRadarFrame(null);
+    setRadarPlaying(false);
+  }, [skillFrames]);
 
-  const battingAverage = useMemo(() => {
-    return totals.outs ? +(totals.runs / totals.outs).toFixed(2) : totals.runs;
-  }, [totals]);
+  useEffect(() => {
+    if (!radarPlaying) return undefined;
+    const timer = setInterval(() => setRadarFrame((i) => Math.min((i ?? 0) + 1, skillFrames.length - 1)), 700);
+    return () => clearInterval(timer);
+  }, [radarPlaying, skillFrames]);
 
-  const battingSR = useMemo(() => calcStrikeRate(totals.runs, totals.balls), [totals]);
+  useEffect(() => {
+    if (radarPlaying && radarFrame === skillFrames.length - 1) setRadarPlaying(false);
+  }, [radarPlaying, radarFrame, skillFrames]);
 
-  const bowlingEconomy = useMemo(() => {
-    const overs = totals.bowlBalls ? totals.bowlBalls / 6 : 0;
-    return overs ? +((totals.runsConceded) / overs).toFixed(2) : 0;
-  }, [totals]);
-
-  const boundaryPct = useMemo(() => {
-    const boundaryRuns = totals.fours * 4 + totals.sixes * 6;
-    return totals.runs ? +((boundaryRuns / totals.runs) * 100).toFixed(1) : 0;
-  }, [totals]);
-
-  const dotPct = useMemo(() => {
-    return totals.balls ? +((totals.dots / totals.balls) * 100).toFixed(1) : 0;
-  }, [totals]);
-
-  const dismissalCounts = useMemo(() => {
-    const map = {};
-    for (const e of entries) {
-      const key = e.dismissal || "Unknown";
-      map[key] = (map[key] || 0) + 1;
-    }
-    return Object.entries(map).map(([name, value]) => ({ name, value }));
-  }, [entries]);
+  // Playing from the live view or the last frame starts over from the first.
+  const toggleRadarPlay = () => {
+    if (!radarPlaying && (radarFrame == null || radarFrame >= skillFrames.length - 1)) setRadarFrame(0);
+    setRadarPlaying((v) => !v);
+  };
 
-  const runTrend = useMemo(() => sorted.map((e, i) => ({
-    idx: i + 1,
-    date: fmtDate(e.date),
-    runs: e.runs || 0,
-    sr: calcStrikeRate(e.runs || 0, e.balls || 0),
-  })), [sorted]);
-
-  const scoringBreakdown = useMemo(() => {
-    const sums = { ones: 0, twos: 0, threes: 0, fours: 0, sixes: 0, dots: 0 };
-    for (const e of entries) {
-      sums.ones += e.singles || 0;
-      sums.twos += e.doubles || 0;
-      sums.threes += e.triples || 0;
-      sums.fours += e.fours || 0;
-      sums.sixes += e.sixes || 0;
-      sums.dots += e.dots || 0;
-    }
-    return [
-      { name: "1s", value: sums.ones },
-      { name: "2s", value: sums.twos },
-      { name: "3s", value: sums.threes },
-      { name: "4s", value: sums.fours },
-      { name: "6s", value: sums.sixes },
-      { name: "Dots", value: sums.dots },
-    ];
-  }, [entries]);
+  const radarScores = radarFrame == null ? skillScores : skillFrames[radarFrame]?.scores;
 
-  // Simple skill scores out of 100 (heuristics)
-  const skillScores = useMemo(() => {
-    const batVolume = Math.min(100, Math.round((totals.runs / Math.max(1, entries.length)) * 2)); // avg runs *2
-    const batSR = Math.min(100, Math.round(battingSR));
-    const rotation = Math.max(0, Math.min(100, Math.round(100 - dotPct)));
-    const power = Math.min(100, Math.round(boundaryPct * 1.2));
+  // Auto-Insights & Suggestions (thresholds live in the editable rule set, see DEFAULT_INSIGHT_RULES)
+  const insights = useMemo(() => buildInsights(scopedEntries, insightRules, rollingWindow, workloadWarnings), [scopedEntries, rollingWindow, insightRules, workloadWarnings]);
 
-    const bowlStrike = (() => {
-      const totalW = totals.wickets;
-      const balls = totals.bowlBalls;
-      if (!balls) return 0;
-      const sr = balls / Math.max(1, totalW);
-      return Math.min(100, Math.round(100 - Math.min(100, (sr / 30) * 100))); // better when lower SR
-    })();
-    const economy = Math.max(0, Math.min(100, Math.round(100 - (bowlingEconomy * 8))));
+  // ------------ Season Report ------------ //
+  // Same player scope as the dashboard, but with its own date range / format.
+  const reportEntries = useMemo(() => {
+    if (!report) return [];
+    const mine = activePlayerId === ALL_PLAYERS ? entries : entries.filter((e) => e.playerId === activePlayerId);
+    return applyFilters(mine, { ...EMPTY_FILTERS, from: report.from, to: report.to, format: report.format });
+  }, [report, entries, activePlayerId]);
 
-    const fielding = Math.max(0, Math.min(100, (totals.catches + totals.runOuts) * 10 - (totals.drops + totals.misfields) * 5));
+  const reportTakeaways = useMemo(() => collectTakeaways(reportEntries), [reportEntries]);
 
-    return { batVolume, batSR, rotation, power, bowlStrike, economy, fielding };
-  }, [totals, battingSR, dotPct, boundaryPct, bowlingEconomy, entries.length]);
+  const openReport = () => setReport({ title: "Season Report", from: filters.from, to: filters.to, format: filters.format, notes: {} });
 
-  // Auto-Insights & Suggestions
-  const insights = useMemo(() => {
-    const list = [];
+  const renderReport = () => {
+    const dates = report.from || report.to ? `${report.from ? fmtDate(report.from) : "start"} – ${report.to ? fmtDate(report.to) : "today"}` : "All dates";
+    const scope = [activePlayerId === ALL_PLAYERS ? "All players" : playerName(activePlayerId), report.format === "all" ? "All formats" : report.format, dates].join(" · ");
+    return buildSeasonReport({
+      list: reportEntries,
+      title: report.title || "Season Report",
+      scope,
+      rules: insightRules,
+      window: rollingWindow,
+      minBalls: recordMinBalls,
+      benchmarks: skillBenchmarks,
+      takeaways: reportTakeaways.filter((n) => report.notes[n.key]),
+    });
+  };
 
-    // Batting
-    if (entries.length >= 3) {
-      const last3 = sorted.slice(-3);
-      const avg = last3.reduce((a, e) => a + (e.runs || 0), 0) / 3;
-      list.push({ area: "Batting", msg: `Last 3 innings avg: ${avg.toFixed(1)}` });
-    }
-    if (battingSR < 100 && (form.format === "T20" || entries.some(e => e.format === "T20"))) {
-      list.push({ area: "Batting", msg: "Strike rate is below T20 benchmark (100). Focus on rotating strike and boundary options early." });
-    }
-    if (dotPct > 45) list.push({ area: "Batting", msg: `High dot ball percentage (${dotPct}%). Work on singles placement & quick calls.` });
-    if (boundaryPct < 35 && entries.some(e => e.format === "T20")) list.push({ area: "Batting", msg: `Boundary % is ${boundaryPct}%. Add power-hitting drills (range-hitting, strong base).` });
+  const saveReport = () => downloadFile(renderReport(), "text/html", `cricket_report_${new Date().toISOString().slice(0, 10)}.html`);
 
-    const caughtShare = dismissalCounts.find(d => d.name === "Caught")?.value || 0;
-    if (entries.length && caughtShare / Math.max(1, entries.length) > 0.4) {
-      list.push({ area: "Shot Selection", msg: "Many dismissals are caught. Reassess lofted shots & play later under the eyes." });
-    }
-    const straightShare = (dismissalCounts.find(d => d.name === "LBW")?.value || 0) + (dismissalCounts.find(d => d.name === "Bowled")?.value || 0);
-    if (entries.length && straightShare / Math.max(1, entries.length) > 0.3) {
-      list.push({ area: "Technique", msg: "LBW/Bowled frequency suggests gap between bat & pad. Drill: straight-bat, shadow practice, front-foot defense." });
-    }
+  // Prints from a hidden iframe so popup blockers don't get in the way; "Save as PDF" is in the print dialog.
+  const printReport = () => {
+    const frame = document.createElement("iframe");
+    frame.style.cssText = "position:fixed;width:0;height:0;border:0;";
+    frame.srcdoc = renderReport();
+    frame.onload = () => {
+      frame.contentWindow.focus();
+      frame.contentWindow.print();
+      setTimeout(() => frame.remove(), 1000);
+    };
+    document.body.appendChild(frame);
+  };
 
-    // Bowling
-    const hasT20 = entries.some(e => e.format === "T20");
-    if (hasT20 && bowlingEconomy > 8.5) list.push({ area: "Bowling", msg: `Economy ${bowlingEconomy} in T20. Work on yorkers, wide yorkers, and change-ups at the death.` });
-    const widesNb = totals.wides + totals.noBalls;
-    if (widesNb > 0 && widesNb / Math.max(1, totals.bowlBalls) > 0.05) list.push({ area: "Discipline", msg: "High extras rate. Groove run-up, release point; target cone drills." });
-    if (totals.wickets === 0 && totals.bowlBalls > 24) list.push({ area: "Bowling", msg: "Low wicket-taking. Try attacking fields early; vary length & pace more." });
+  // ------------ Period Comparison ------------ //
+  // Uses the player switcher and the filter bar's format/match type/venue; the periods replace its dates.
+  const compareBase = useMemo(() => {
+    const mine = activePlayerId === ALL_PLAYERS ? entries : entries.filter((e) => e.playerId === activePlayerId);
+    return applyFilters(mine, { ...filters, from: "", to: "" });
+  }, [entries, filters, activePlayerId]);
 
-    // Fielding
-    if (totals.drops > totals.catches) list.push({ area: "Fielding", msg: "Drops exceed catches. Practice high catches and reaction drills." });
+  const compareSeasonOptions = useMemo(() => {
+    if (!seasons.length) return entrySeasons(compareBase).map((y) => [y, y]);
+    return [...seasons].sort((a, b) => String(b.from).localeCompare(String(a.from))).map((x) => [x.id, x.name]);
+  }, [seasons, compareBase]);
 
-    if (list.length === 0) list.push({ area: "Overall", msg: "Good balance so far. Keep logging matches for sharper insights." });
-    return list;
-  }, [entries, sorted, battingSR, dotPct, boundaryPct, dismissalCounts, bowlingEconomy, totals, form.format]);
+  const comparison = useMemo(() => {
+    if (!compare) return null;
+    const [a, b] = comparePeriodSpecs(compare, seasons, competitions).map((p) => periodEntries(compareBase, p));
+    return { a, b, labels: comparePeriodLabels(compare, seasons), rows: comparePeriods(a, b), radar: compareSkillRadar(a, b, skillBenchmarks) };
+  }, [compare, compareBase, seasons, competitions, skillBenchmarks]);
+
+  const openCompare = () => setCompare({
+    mode: "recent",
+    n: 5,
+    seasonA: (compareSeasonOptions[1] || compareSeasonOptions[0])?.[0] || "",
+    seasonB: compareSeasonOptions[0]?.[0] || "",
+    rangeA: { from: "", to: "" },
+    rangeB: { from: "", to: "" },
+  });
 
   // ------------ UI Helpers ------------ //
-  const Stat = ({ icon: Icon, label, value, hint }) => (
-    <Card className="rounded-2xl">
-      <CardContent className="p-4 flex items-center gap-3">
-        <div className="p-3 rounded-2xl shadow bg-white">
-          <Icon className="w-5 h-5" />
-        </div>
-        <div>
-          <div className="text-sm text-gray-500">{label}</div>
-          <div className="text-xl font-semibold">{value}</div>
-          {hint && <div className="text-xs text-gray-400">{hint}</div>}
-        </div>
-      </CardContent>
-    </Card>
-  );
+  // `trend` ("up" | "down" | "flat") adds a form arrow next to the value.
+  const Stat = ({ icon: Icon, label, value, hint, trend }) => {
+    const TrendIcon = trend ? TREND_ICONS[trend] : null;
+    return (
+      <Card className="rounded-2xl">
+        <CardContent className="p-4 flex items-center gap-3">
+          <div className="p-3 rounded-2xl shadow bg-white">
+            <Icon className="w-5 h-5" />
+          </div>
+          <div>
+            <div className="text-sm text-gray-500">{label}</div>
+            <div className="text-xl font-semibold flex items-center gap-1">{value}{TrendIcon && <TrendIcon className={`w-4 h-4 ${TREND_COLORS[trend]}`} />}</div>
+            {hint && <div className="text-xs text-gray-400">{hint}</div>}
+          </div>
+        </CardContent>
+      </Card>
+    );
+  };
 
   const Section = ({ title, children, right }) => (
     <Card className="rounded-2xl">
@@ -440,10 +2465,13 @@ export default function CricketTrackerApp() {
     </Card>
   );
 
-  const Field = ({ label, children }) => (
+  // `name` links a field to the entry validation messages for that key.
+  const Field = ({ label, name, children }) => (
     <div className="flex flex-col gap-1">
       <Label className="text-sm text-gray-600">{label}</Label>
       {children}
+      {showValidation && name && validation.errors[name] && <div className="text-xs text-red-600">{validation.errors[name]}</div>}
+      {showValidation && name && !validation.errors[name] && validation.warnings[name] && <div className="text-xs text-amber-600">{validation.warnings[name]}</div>}
     </div>
   );
 
@@ -458,29 +2486,635 @@ export default function CricketTrackerApp() {
             <p className="text-gray-500 text-sm">Log matches, analyze trends, and spot improvement areas.</p>
           </div>
           <div className="flex gap-2">
-            <Button variant="outline" onClick={exportJSON}><Download className="w-4 h-4 mr-2"/>Export</Button>
+            <div className="w-48">
+              <Select value={activePlayerId} onValueChange={setActivePlayerId}>
+                <SelectTrigger><SelectValue placeholder="Player"/></SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ALL_PLAYERS}>All players</SelectItem>
+                  {players.map(p => <SelectItem key={p.id} value={p.id}>{p.name}</SelectItem>)}
+                </SelectContent>
+              </Select>
+            </div>
+            <Button variant="outline" onClick={undo} disabled={!undoStacks.undo.length} title={undoStacks.undo.length ? `Undo: ${undoStacks.undo[undoStacks.undo.length - 1].label} (Ctrl+Z)` : "Nothing to undo"}><Undo2 className="w-4 h-4"/></Button>
+            <Button variant="outline" onClick={redo} disabled={!undoStacks.redo.length} title={undoStacks.redo.length ? `Redo: ${undoStacks.redo[undoStacks.redo.length - 1].label} (Ctrl+Shift+Z)` : "Nothing to redo"}><Redo2 className="w-4 h-4"/></Button>
+            <Button variant="outline" onClick={() => setShowTrash((v) => !v)}><Trash2 className="w-4 h-4 mr-2"/>Trash ({trash.length})</Button>
+            <Button variant="outline" onClick={openReport}><FileText className="w-4 h-4 mr-2"/>Generate Report</Button>
+            <Button variant="outline" onClick={() => (compare ? setCompare(null) : openCompare())}><GitCompare className="w-4 h-4 mr-2"/>Compare</Button>
+            <Button variant="outline" onClick={() => exportJSON()}><Download className="w-4 h-4 mr-2"/>Export</Button>
             <label className="inline-flex items-center">
-              <input type="file" accept="application/json" className="hidden" onChange={(e) => e.target.files?.[0] && importJSON(e.target.files[0])} />
+              <input type="file" accept="application/json" className="hidden" onChange={(e) => { e.target.files?.[0] && importJSON(e.target.files[0]); e.target.value = ""; }} />
               <span className="inline-flex">
                 <Button variant="outline"><Upload className="w-4 h-4 mr-2"/>Import</Button>
               </span>
             </label>
+            <label className="inline-flex items-center" title="Combine with an export from another device">
+              <input type="file" accept="application/json" className="hidden" onChange={(e) => { e.target.files?.[0] && mergeFromFile(e.target.files[0]); e.target.value = ""; }} />
+              <span className="inline-flex">
+                <Button variant="outline"><GitMerge className="w-4 h-4 mr-2"/>Merge from file</Button>
+              </span>
+            </label>
+            <Button variant="outline" onClick={() => exportCSV()}><FileSpreadsheet className="w-4 h-4 mr-2"/>Export CSV</Button>
+            <label className="inline-flex items-center">
+              <input type="file" accept=".csv,text/csv" className="hidden" onChange={(e) => { e.target.files?.[0] && importCSV(e.target.files[0]); e.target.value = ""; }} />
+              <span className="inline-flex">
+                <Button variant="outline"><FileSpreadsheet className="w-4 h-4 mr-2"/>Import CSV</Button>
+              </span>
+            </label>
             <Button variant="destructive" onClick={clearAll}><Trash2 className="w-4 h-4 mr-2"/>Reset</Button>
           </div>
         </div>
 
+        {/* Storage Error */}
+        {storageError && (
+          <div className="p-4 rounded-2xl border border-red-400 bg-red-50 flex items-start justify-between gap-4 text-sm">
+            <div>
+              <div className="font-semibold">Saved data couldn't be read: {storageError}</div>
+              <div className="mt-1">Nothing will be saved until this is fixed, so the stored matches aren't overwritten. Download the raw data as a backup; if it came from a newer version of the app, open it there.</div>
+            </div>
+            <Button variant="outline" onClick={() => downloadFile(storedDataBackup(), "application/json", `cricket_tracker_raw_backup_${todayISO()}.json`)}><Download className="w-4 h-4 mr-2"/>Download Raw Data</Button>
+          </div>
+        )}
+
+        {/* CSV Column Mapping */}
+        {csvImport && (
+          <Section title={`Map CSV Columns – ${csvImport.fileName}`} right={
+            <div className="flex gap-2">
+              <Button variant="outline" onClick={() => setCsvImport(null)}>Cancel</Button>
+              <Button onClick={continueCsvImport}>Continue</Button>
+            </div>
+          }>
+            <div className="text-xs text-gray-500 mb-3">{csvImport.rows.length} data rows. Numbers are checked like the entry form; rows that don't parse are listed in the preview instead of being saved as zeros.</div>
+            <div className="grid md:grid-cols-3 gap-3">
+              {csvImport.headers.map((h, i) => (
+                <Field key={`${h}-${i}`} label={`${h || `(column ${i + 1})`} – e.g. "${csvImport.rows[0]?.cells[i] ?? ""}"`}>
+                  <Select value={csvImport.mapping[h] || CSV_IGNORE} onValueChange={(v) => setCsvImport({ ...csvImport, mapping: { ...csvImport.mapping, [h]: v } })}>
+                    <SelectTrigger><SelectValue placeholder="Entry field"/></SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={CSV_IGNORE}>Ignore column</SelectItem>
+                      {CSV_FIELDS.map(f => <SelectItem key={f.key} value={f.key}>{f.label}</SelectItem>)}
+                    </SelectContent>
+                  </Select>
+                </Field>
+              ))}
+            </div>
+          </Section>
+        )}
+
+        {/* Celebration */}
+        {celebration && (
+          <motion.div initial={{ opacity: 0, scale: 0.96 }} animate={{ opacity: 1, scale: 1 }} className="p-4 rounded-2xl border border-amber-300 bg-amber-50 flex items-start justify-between gap-4">
+            <div>
+              <div className="font-semibold">🏆 {celebration.player ? `${celebration.player} – ` : ""}{fmtDate(celebration.date)}</div>
+              <ul className="text-sm mt-1 list-disc pl-5">{celebration.items.map((it) => <li key={it}>{it}</li>)}</ul>
+            </div>
+            <Button size="sm" variant="outline" onClick={() => setCelebration(null)}>Dismiss</Button>
+          </motion.div>
+        )}
+
+        {/* Generate Report */}
+        {report && (
+          <Section title="Generate Report" right={
+            <div className="flex gap-2">
+              <Button variant="outline" onClick={() => setReport(null)}>Close</Button>
+              <Button variant="outline" disabled={!reportEntries.length} onClick={saveReport}><Download className="w-4 h-4 mr-2"/>Save HTML</Button>
+              <Button disabled={!reportEntries.length} onClick={printReport}><Printer className="w-4 h-4 mr-2"/>Print / PDF</Button>
+            </div>
+          }>
+            <div className="grid md:grid-cols-4 gap-4">
+              <Field label="Title"><Input value={report.title} onChange={e => setReport({ ...report, title: e.target.value })} /></Field>
+              <Field label="From"><Input type="date" value={report.from} onChange={e => setReport({ ...report, from: e.target.value })} /></Field>
+              <Field label="To"><Input type="date" value={report.to} onChange={e => setReport({ ...report, to: e.target.value })} /></Field>
+              <Field label="Format">
+                <Select value={report.format} onValueChange={(v) => setReport({ ...report, format: v })}>
+                  <SelectTrigger><SelectValue placeholder="Format"/></SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="all">All formats</SelectItem>
+                    {DEFAULT_FORMATS.map(f => <SelectItem key={f} value={f}>{f}</SelectItem>)}
+                  </SelectContent>
+                </Select>
+              </Field>
+            </div>
+            <div className="text-xs text-gray-500 mt-3">
+              {reportEntries.length} matches for {activePlayerId === ALL_PLAYERS ? "all players" : playerName(activePlayerId)}. Insights use the current rule set and a last-{rollingWindow} form window.
+            </div>
+            <div className="mt-4">
+              <div className="flex items-center justify-between mb-2">
+                <Label>Key takeaways to include ({reportTakeaways.filter((n) => report.notes[n.key]).length}/{reportTakeaways.length})</Label>
+                <div className="flex gap-2">
+                  <Button size="sm" variant="outline" onClick={() => setReport({ ...report, notes: Object.fromEntries(reportTakeaways.map((n) => [n.key, true])) })}>All</Button>
+                  <Button size="sm" variant="outline" onClick={() => setReport({ ...report, notes: {} })}>None</Button>
+                </div>
+              </div>
+              {reportTakeaways.length === 0 ? (
+                <div className="text-sm text-gray-500">No notes in this range.</div>
+              ) : (
+                <div className="max-h-64 overflow-auto rounded-2xl border divide-y">
+                  {reportTakeaways.map((n) => (
+                    <label key={n.key} className="flex items-start gap-2 p-2 text-sm">
+                      <input type="checkbox" className="mt-1" checked={!!report.notes[n.key]} onChange={(e) => setReport({ ...report, notes: { ...report.notes, [n.key]: e.target.checked } })} />
+                      <span><span className="text-xs text-gray-500">{fmtDate(n.date)} · {n.area}</span> {n.text}</span>
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+          </Section>
+        )}
+
+        {/* Compare Periods */}
+        {comparison && (
+          <Section title="Compare Periods" right={<Button variant="outline" onClick={() => setCompare(null)}>Close</Button>}>
+            <div className="grid md:grid-cols-4 gap-4">
+              <Field label="Compare">
+                <Select value={compare.mode} onValueChange={(v) => setCompare({ ...compare, mode: v })}>
+                  <SelectTrigger><SelectValue placeholder="Mode"/></SelectTrigger>
+                  <SelectContent>{COMPARE_MODES.map(([k, label]) => <SelectItem key={k} value={k}>{label}</SelectItem>)}</SelectContent>
+                </Select>
+              </Field>
+              {compare.mode === "recent" && (
+                <Field label="Matches per period"><Input type="number" min={1} value={compare.n} onChange={e => setCompare({ ...compare, n: e.target.value })} /></Field>
+              )}
+              {compare.mode === "season" && ["seasonA", "seasonB"].map((k, i) => (
+                <Field key={k} label={i ? "Season B" : "Season A (baseline)"}>
+                  <Select value={compare[k] || "none"} onValueChange={(v) => setCompare({ ...compare, [k]: v === "none" ? "" : v })}>
+                    <SelectTrigger><SelectValue placeholder="Season"/></SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="none">Pick a season</SelectItem>
+                      {compareSeasonOptions.map(([v, label]) => <SelectItem key={v} value={v}>{label}</SelectItem>)}
+                    </SelectContent>
+                  </Select>
+                </Field>
+              ))}
+              {compare.mode === "range" && ["rangeA", "rangeB"].map((k, i) => (
+                <React.Fragment key={k}>
+                  <Field label={`${i ? "B" : "A (baseline)"} from`}><Input type="date" value={compare[k].from} onChange={e => setCompare({ ...compare, [k]: { ...compare[k], from: e.target.value } })} /></Field>
+                  <Field label={`${i ? "B" : "A"} to`}><Input type="date" value={compare[k].to} onChange={e => setCompare({ ...compare, [k]: { ...compare[k], to: e.target.value } })} /></Field>
+                </React.Fragment>
+              ))}
+            </div>
+            <div className="text-xs text-gray-500 mt-3">
+              A: {comparison.labels[0]} ({comparison.a.length} matches) · B: {comparison.labels[1]} ({comparison.b.length} matches).
+              Verdicts compare the change with the innings-to-innings spread; fewer than {COMPARE_MIN_SAMPLES} innings on either side is too few to tell.
+            </div>
+            <div className="grid lg:grid-cols-3 gap-6 mt-4">
+              <div className="lg:col-span-2 overflow-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th className="p-2">Metric</th>
+                      <th className="p-2">A</th>
+                      <th className="p-2">B</th>
+                      <th className="p-2">Change</th>
+                      <th className="p-2">%</th>
+                      <th className="p-2">Meaningful?</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {comparison.rows.map((r, i) => {
+                      const [verdict, verdictClass] = r.significance ? VERDICTS[r.significance.verdict] : [];
+                      const ChangeIcon = r.diff > 0 ? ArrowUpRight : r.diff < 0 ? ArrowDownRight : ArrowRight;
+                      const tone = r.improved == null ? "text-gray-500" : r.improved ? "text-green-600" : "text-red-600";
+                      return (
+                        <React.Fragment key={r.key}>
+                          {r.group !== comparison.rows[i - 1]?.group && (
+                            <tr><td colSpan={6} className="pt-3 pb-1 px-2 text-xs font-semibold uppercase text-gray-400">{r.group}</td></tr>
+                          )}
+                          <tr className="border-t">
+                            <td className="p-2">{r.label}</td>
+                            <td className="p-2">{r.a ?? "-"}</td>
+                            <td className="p-2">{r.b ?? "-"}</td>
+                            <td className={`p-2 ${tone}`}>{r.diff == null ? "-" : <span className="inline-flex items-center gap-1"><ChangeIcon className="w-3 h-3"/>{r.diff > 0 ? "+" : ""}{r.diff}</span>}</td>
+                            <td className={`p-2 ${tone}`}>{r.pct == null ? "-" : `${r.pct > 0 ? "+" : ""}${r.pct}%`}</td>
+                            <td className="p-2">
+                              {verdict && (
+                                <span title={`z = ${r.significance.z ?? "-"} · samples ${r.significance.n.join(" vs ")}`} className={`px-2 py-0.5 rounded-full text-xs ${verdictClass}`}>{verdict}</span>
+                              )}
+                            </td>
+                          </tr>
+                        </React.Fragment>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              <div className="h-80">
+                <ResponsiveContainer width="100%" height="100%">
+                  <RadarChart data={comparison.radar}>
+                    <PolarGrid />
+                    <PolarAngleAxis dataKey="key" />
+                    <PolarRadiusAxis angle={30} domain={[0, 100]} />
+                    <Radar dataKey="a" name={`A: ${comparison.labels[0]}`} stroke="#94a3b8" fill="#94a3b8" fillOpacity={0.3} />
+                    <Radar dataKey="b" name={`B: ${comparison.labels[1]}`} stroke="#10b981" fill="#10b981" fillOpacity={0.35} />
+                    <Legend />
+                    <Tooltip />
+                  </RadarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          </Section>
+        )}
+
+        {/* Import Preview */}
+        {importPreview && (
+          <Section title={`Import Preview – ${importPreview.fileName}`} right={
+            <div className="flex gap-2">
+              <Button variant="outline" onClick={() => setImportPreview(null)}>Cancel</Button>
+              <Button variant="outline" onClick={() => applyImport("replace")}>Replace All</Button>
+              <Button onClick={() => applyImport("merge")}>Merge</Button>
+            </div>
+          }>
+            <div className="grid md:grid-cols-4 gap-3 text-sm">
+              <div className="p-3 rounded-2xl border bg-white"><div className="text-gray-500">New</div><div className="text-xl font-semibold">{importPreview.fresh.length}</div></div>
+              <div className="p-3 rounded-2xl border bg-white"><div className="text-gray-500">Duplicates (skipped)</div><div className="text-xl font-semibold">{importPreview.duplicates.length}</div></div>
+              <div className="p-3 rounded-2xl border bg-white"><div className="text-gray-500">Conflicts</div><div className="text-xl font-semibold">{importPreview.conflicts.length}</div></div>
+              <div className="p-3 rounded-2xl border bg-white"><div className="text-gray-500">Rejected</div><div className="text-xl font-semibold">{importPreview.rejected.length}</div></div>
+            </div>
+            {importPreview.conflicts.length > 0 && (
+              <div className="mt-4 grid gap-2 text-sm">
+                <div className="flex items-center gap-3">
+                  <span className="font-medium">On merge, conflicting entries keep:</span>
+                  <div className="w-48">
+                    <Select value={conflictPolicy} onValueChange={setConflictPolicy}>
+                      <SelectTrigger><SelectValue placeholder="Conflict policy"/></SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="mine">My current version</SelectItem>
+                        <SelectItem value="theirs">The file's version</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+                </div>
+                {importPreview.conflicts.slice(0, 10).map(({ mine, theirs }) => (
+                  <div key={mine.id} className="text-xs text-gray-600">
+                    {fmtDate(mine.date)}: mine {mine.runs}({mine.balls}), {mine.wickets}w · file {theirs.runs}({theirs.balls}), {theirs.wickets}w
+                  </div>
+                ))}
+              </div>
+            )}
+            {importPreview.rejected.length > 0 && (
+              <div className="mt-4 grid gap-1 text-xs text-red-600">
+                {importPreview.rejected.slice(0, 10).map((r) => (
+                  <div key={r.row}>{importPreview.rowLabel || "Row"} {r.row}{r.date ? ` (${r.date})` : ""}: {r.reasons.join(" ")}</div>
+                ))}
+                {importPreview.rejected.length > 10 && <div>…and {importPreview.rejected.length - 10} more.</div>}
+              </div>
+            )}
+          </Section>
+        )}
+
+        {/* Merge from File */}
+        {mergeSession && (
+          <Section title={`Merge – ${mergeSession.fileName}`} right={
+            <div className="flex gap-2">
+              <Button variant="outline" onClick={() => setMergeSession(null)}>Cancel</Button>
+              <Button onClick={applyMerge}><GitMerge className="w-4 h-4 mr-2"/>Apply Merge</Button>
+            </div>
+          }>
+            <div className="grid md:grid-cols-6 gap-3 text-sm">
+              {[
+                ["New from file", mergeSession.plan.added.length],
+                ["Updated from file", mergeSession.plan.updated.length],
+                ["Deleted on other device", mergeSession.plan.deleted.length],
+                ["Newer here (kept)", mergeSession.plan.kept],
+                ["Identical", mergeSession.plan.unchanged],
+                ["Conflicts", mergeSession.plan.conflicts.length],
+              ].map(([label, n]) => (
+                <div key={label} className="p-3 rounded-2xl border bg-white"><div className="text-gray-500">{label}</div><div className="text-xl font-semibold">{n}</div></div>
+              ))}
+            </div>
+            <div className="mt-2 text-xs text-gray-500">
+              {mergeSession.fromDevice === deviceId ? "This file was exported from this device." : mergeSession.fromDevice ? `From device ${mergeSession.fromDevice.slice(0, 8)}.` : "File has no device id (older export)."}
+              {mergeSession.rejected > 0 && <span className="text-red-600"> {mergeSession.rejected} invalid entr{mergeSession.rejected === 1 ? "y" : "ies"} will be skipped.</span>}
+            </div>
+            {mergeSession.plan.conflicts.map((c) => {
+              const choice = mergeSession.choices[c.id];
+              const base = c.mine || c.theirs;
+              if (c.kind !== "edited") {
+                return (
+                  <div key={c.id} className="mt-4 p-3 rounded-2xl border bg-white text-sm flex flex-wrap items-center gap-3">
+                    <div className="flex-1">
+                      <div className="font-medium">{entrySummary(base)}</div>
+                      <div className="text-xs text-gray-500">
+                        {c.kind === "deletedHere" ? "Deleted on this device, but edited in the file." : "Deleted on the other device, but edited here."}
+                      </div>
+                    </div>
+                    <Button variant={choice === "keep" ? "default" : "outline"} onClick={() => setMergeChoice(c.id, "keep")}>Keep</Button>
+                    <Button variant={choice === "delete" ? "default" : "outline"} onClick={() => setMergeChoice(c.id, "delete")}>Delete</Button>
+                  </div>
+                );
+              }
+              const fields = diffFields(c.mine, c.theirs);
+              const pickAll = (side) => setMergeChoice(c.id, Object.fromEntries(fields.map((f) => [f, side])));
+              return (
+                <div key={c.id} className="mt-4 p-3 rounded-2xl border bg-white text-sm">
+                  <div className="flex flex-wrap items-center gap-2 mb-2">
+                    <div className="flex-1 font-medium">{entrySummary(c.mine)}</div>
+                    <Button variant="outline" onClick={() => pickAll("mine")}>All mine</Button>
+                    <Button variant="outline" onClick={() => pickAll("theirs")}>All from file</Button>
+                  </div>
+                  <table className="w-full text-xs">
+                    <thead>
+                      <tr className="text-left text-gray-500">
+                        <th className="p-1">Field</th>
+                        <th className="p-1">This device{c.mine.updatedAt ? ` (${fmtDate(c.mine.updatedAt)})` : ""}</th>
+                        <th className="p-1">File{c.theirs.updatedAt ? ` (${fmtDate(c.theirs.updatedAt)})` : ""}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {fields.map((f) => {
+                        const side = choice[f] || "mine";
+                        const cell = (which, value) => (
+                          <td className="p-1">
+                            <button type="button" onClick={() => setMergeChoice(c.id, { ...choice, [f]: which })}
+                              className={`w-full text-left px-2 py-1 rounded-lg border ${side === which ? "border-emerald-500 bg-emerald-50" : "border-transparent text-gray-500"}`}>
+                              {fieldText(value)}
+                            </button>
+                          </td>
+                        );
+                        return (
+                          <tr key={f} className="border-t">
+                            <td className="p-1 font-medium">{f}</td>
+                            {cell("mine", c.mine[f])}
+                            {cell("theirs", c.theirs[f])}
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              );
+            })}
+          </Section>
+        )}
+
+        {/* Filters */}
+        <Section title="Filters" right={
+          <div className="flex items-center gap-3">
+            <span className="text-xs text-gray-500">Showing {filteredEntries.length} of {entries.length} entries</span>
+            <Button variant="outline" disabled={!isFiltered(filters)} onClick={() => setFilters({ ...EMPTY_FILTERS })}>Clear</Button>
+          </div>
+        }>
+          <div className="grid md:grid-cols-5 gap-4">
+            <Field label="From"><Input type="date" value={filters.from} onChange={e => setFilters({ ...filters, from: e.target.value })} /></Field>
+            <Field label="To"><Input type="date" value={filters.to} onChange={e => setFilters({ ...filters, to: e.target.value })} /></Field>
+            <Field label="Format">
+              <Select value={filters.format} onValueChange={(v) => setFilters({ ...filters, format: v })}>
+                <SelectTrigger><SelectValue placeholder="Format"/></SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All formats</SelectItem>
+                  {DEFAULT_FORMATS.map(f => <SelectItem key={f} value={f}>{f}</SelectItem>)}
+                </SelectContent>
+              </Select>
+            </Field>
+            <Field label="Match Type">
+              <Select value={filters.matchType} onValueChange={(v) => setFilters({ ...filters, matchType: v })}>
+                <SelectTrigger><SelectValue placeholder="Match type"/></SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All match types</SelectItem>
+                  {MATCH_TYPES.map(m => <SelectItem key={m} value={m}>{m}</SelectItem>)}
+                </SelectContent>
+              </Select>
+            </Field>
+            <Field label="Venue contains"><Input placeholder="e.g. nets" value={filters.venue} onChange={e => setFilters({ ...filters, venue: e.target.value })} /></Field>
+          </div>
+        </Section>
+
         {/* Quick Stats */}
-        <div className="grid md:grid-cols-4 gap-4">
+        <div className="flex items-center justify-end gap-2 text-xs text-gray-500">
+          Stats for
+          <div className="w-56">
+            <Select value={statsScope} onValueChange={setStatsScope}>
+              <SelectTrigger><SelectValue placeholder="Scope"/></SelectTrigger>
+              <SelectContent>
+                <SelectItem value="career">Career</SelectItem>
+                <SelectItem value="season">This season ({thisSeason ? thisSeason.name : todayISO().slice(0, 4)})</SelectItem>
+                {competitions.map(c => <SelectItem key={c.id} value={c.id}>{c.name}</SelectItem>)}
+              </SelectContent>
+            </Select>
+          </div>
+          Form window
+          <div className="w-32">
+            <Select value={String(rollingWindow)} onValueChange={(v) => setRollingWindow(toInt(v, 5))}>
+              <SelectTrigger><SelectValue placeholder="Window"/></SelectTrigger>
+              <SelectContent>{ROLLING_WINDOWS.map(w => <SelectItem key={w} value={String(w)}>Last {w} innings</SelectItem>)}</SelectContent>
+            </Select>
+          </div>
+        </div>
+        <div className="grid md:grid-cols-5 gap-4">
           <Stat icon={Database} label="Matches" value={totals.matches} />
-          <Stat icon={TrendingUp} label="Bat Avg" value={battingAverage} hint={`${totals.runs} runs / ${totals.outs || 0} outs`} />
-          <Stat icon={TrendingUp} label="Strike Rate" value={battingSR} hint={`${totals.runs} runs, ${totals.balls} balls`} />
-          <Stat icon={Target} label="Economy" value={bowlingEconomy} hint={`${totals.runsConceded} runs / ${Math.round(totals.bowlBalls/6)} ov`} />
+          <Stat icon={TrendingUp} label="Bat Avg" value={battingAverage} hint={`${totals.runs} runs / ${totals.outs || 0} outs`} trend={formTrend(formIndex?.parts.average)} />
+          <Stat icon={TrendingUp} label="Strike Rate" value={battingSR} hint={`${totals.runs} runs, ${totals.balls} balls`} trend={formTrend(formIndex?.parts.strikeRate)} />
+          <Stat icon={Target} label="Economy" value={bowlingEconomy} hint={`${totals.runsConceded} runs / ${ballsToOvers(totals.bowlBalls)} ov`} trend={formTrend(formIndex?.parts.economy)} />
+          <Stat icon={TrendingUp} label="Form Index" value={formIndex ? formIndex.index : "-"} hint={formIndex ? `last ${rollingWindow} vs career (100 = par)` : `needs more than ${rollingWindow} innings`} trend={formTrend(formIndex && formIndex.index / 100)} />
         </div>
 
+        {/* Squad */}
+        <Section title="Squad" right={<Button onClick={savePlayer}><Plus className="w-4 h-4 mr-2"/>{playerForm.id ? "Update Player" : "Add Player"}</Button>}>
+          <div className="grid md:grid-cols-4 gap-4">
+            <Field label="Name"><Input value={playerForm.name} onChange={e => setPlayerForm({ ...playerForm, name: e.target.value })} placeholder="Player name" /></Field>
+            <Field label="Role">
+              <Select value={playerForm.role} onValueChange={(v) => setPlayerForm({ ...playerForm, role: v })}>
+                <SelectTrigger><SelectValue placeholder="Role"/></SelectTrigger>
+                <SelectContent>{PLAYER_ROLES.map(r => <SelectItem key={r} value={r}>{r}</SelectItem>)}</SelectContent>
+              </Select>
+            </Field>
+            <Field label="Batting Hand">
+              <Select value={playerForm.battingHand} onValueChange={(v) => setPlayerForm({ ...playerForm, battingHand: v })}>
+                <SelectTrigger><SelectValue placeholder="Batting hand"/></SelectTrigger>
+                <SelectContent>{BATTING_HANDS.map(h => <SelectItem key={h} value={h}>{h}</SelectItem>)}</SelectContent>
+              </Select>
+            </Field>
+            <Field label="Bowling Style">
+              <Select value={playerForm.bowlingStyle} onValueChange={(v) => setPlayerForm({ ...playerForm, bowlingStyle: v })}>
+                <SelectTrigger><SelectValue placeholder="Bowling style"/></SelectTrigger>
+                <SelectContent>{BOWLING_STYLES.map(b => <SelectItem key={b} value={b}>{b}</SelectItem>)}</SelectContent>
+              </Select>
+            </Field>
+          </div>
+          {squadRows.length === 0 ? (
+            <div className="mt-4 text-sm text-gray-500">No players yet. Add your squad to track each player separately.</div>
+          ) : (
+            <div className="mt-4 overflow-auto rounded-2xl border">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="p-2 text-left">Player</th>
+                    <th className="p-2 text-left">Role</th>
+                    <th className="p-2 text-left">Bat / Bowl</th>
+                    <th className="p-2 text-left">M</th>
+                    <th className="p-2 text-left">Runs</th>
+                    <th className="p-2 text-left">Avg</th>
+                    <th className="p-2 text-left">SR</th>
+                    <th className="p-2 text-left">W</th>
+                    <th className="p-2 text-left">Econ</th>
+                    <th className="p-2 text-left">C/RO</th>
+                    <th className="p-2 text-left">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {squadRows.map((p) => (
+                    <tr key={p.id} className={`border-t ${p.id === activePlayerId ? "bg-blue-50" : ""}`}>
+                      <td className="p-2 font-medium cursor-pointer" onClick={() => setActivePlayerId(p.id)}>{p.name}</td>
+                      <td className="p-2">{p.role}</td>
+                      <td className="p-2">{p.battingHand} / {p.bowlingStyle}</td>
+                      <td className="p-2">{p.matches}</td>
+                      <td className="p-2">{p.runs}</td>
+                      <td className="p-2">{p.average}</td>
+                      <td className="p-2">{p.sr}</td>
+                      <td className="p-2">{p.wickets}</td>
+                      <td className="p-2">{p.economy}</td>
+                      <td className="p-2">{p.dismissals}</td>
+                      <td className="p-2 flex gap-2">
+                        <Button size="sm" variant="outline" onClick={() => setPlayerForm({ ...p })}>Edit</Button>
+                        <Button size="sm" variant="destructive" onClick={() => deletePlayer(p.id)}>Remove</Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </Section>
+
+        {/* Seasons & Competitions */}
+        <Section title="Seasons & Competitions">
+          <div className="grid lg:grid-cols-2 gap-6">
+            <div className="grid gap-3">
+              <div className="grid md:grid-cols-4 gap-3 items-end">
+                <Field label="Season"><Input value={seasonForm.name} onChange={e => setSeasonForm({ ...seasonForm, name: e.target.value })} placeholder="e.g. Summer 2026" /></Field>
+                <Field label="From"><Input type="date" value={seasonForm.from} onChange={e => setSeasonForm({ ...seasonForm, from: e.target.value })} /></Field>
+                <Field label="To"><Input type="date" value={seasonForm.to} onChange={e => setSeasonForm({ ...seasonForm, to: e.target.value })} /></Field>
+                <Button onClick={saveSeason}><Plus className="w-4 h-4 mr-2"/>{seasonForm.id ? "Update" : "Add"}</Button>
+              </div>
+              {seasons.length === 0 ? (
+                <div className="text-sm text-gray-500">No seasons yet. Without them, "this season" means the calendar year.</div>
+              ) : (
+                <div className="rounded-2xl border divide-y text-sm">
+                  {seasons.map((x) => (
+                    <div key={x.id} className={`flex items-center gap-2 p-2 ${x.id === thisSeason?.id ? "bg-blue-50" : ""}`}>
+                      <div className="flex-1"><span className="font-medium">{x.name}</span> <span className="text-xs text-gray-500">{x.from ? fmtDate(x.from) : "…"} – {x.to ? fmtDate(x.to) : "…"}</span></div>
+                      <Button size="sm" variant="outline" onClick={() => setSeasonForm({ ...x })}>Edit</Button>
+                      <Button size="sm" variant="destructive" onClick={() => deleteSeason(x.id)}>Remove</Button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+            <div className="grid gap-3">
+              <div className="grid md:grid-cols-5 gap-3 items-end">
+                <Field label="Competition"><Input value={competitionForm.name} onChange={e => setCompetitionForm({ ...competitionForm, name: e.target.value })} placeholder="e.g. County Cup" /></Field>
+                <Field label="Season">
+                  <Select value={competitionForm.seasonId || "none"} onValueChange={(v) => setCompetitionForm({ ...competitionForm, seasonId: v === "none" ? "" : v })}>
+                    <SelectTrigger><SelectValue placeholder="Season"/></SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="none">No season</SelectItem>
+                      {seasons.map(x => <SelectItem key={x.id} value={x.id}>{x.name}</SelectItem>)}
+                    </SelectContent>
+                  </Select>
+                </Field>
+                <Field label="From"><Input type="date" value={competitionForm.from} onChange={e => setCompetitionForm({ ...competitionForm, from: e.target.value })} /></Field>
+                <Field label="To"><Input type="date" value={competitionForm.to} onChange={e => setCompetitionForm({ ...competitionForm, to: e.target.value })} /></Field>
+                <Button onClick={saveCompetition}><Plus className="w-4 h-4 mr-2"/>{competitionForm.id ? "Update" : "Add"}</Button>
+              </div>
+              {competitions.length === 0 ? (
+                <div className="text-sm text-gray-500">No competitions yet. Add leagues and tournaments, then pick one when logging a match.</div>
+              ) : (
+                <div className="rounded-2xl border divide-y text-sm">
+                  {competitions.map((c) => (
+                    <div key={c.id} className="flex items-center gap-2 p-2">
+                      <div className="flex-1">
+                        <span className="font-medium">{c.name}</span>{" "}
+                        <span className="text-xs text-gray-500">{c.seasonId ? seasonName(c.seasonId) : "No season"} · {c.from ? fmtDate(c.from) : "…"} – {c.to ? fmtDate(c.to) : "…"} · {entries.filter((e) => e.competitionId === c.id).length} matches</span>
+                      </div>
+                      <Button size="sm" variant="outline" onClick={() => setCompetitionForm({ ...c })}>Edit</Button>
+                      <Button size="sm" variant="destructive" onClick={() => deleteCompetition(c.id)}>Remove</Button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        </Section>
+
+        {/* Season Summary */}
+        <Section title="Season Summary" right={
+          <div className="w-56">
+            <Select value={summarySeason ? summarySeason.id : "all"} onValueChange={(v) => setSummarySeasonId(v === "all" ? "" : v)}>
+              <SelectTrigger><SelectValue placeholder="Season"/></SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All seasons</SelectItem>
+                {seasons.map(x => <SelectItem key={x.id} value={x.id}>{x.name}</SelectItem>)}
+              </SelectContent>
+            </Select>
+          </div>
+        }>
+          {(() => {
+            const { summary: sm, competitions: rows } = seasonSummary;
+            if (!sm.matches) return <div className="text-sm text-gray-500">No matches in {summarySeason ? summarySeason.name : "any season"} for the current player and filters.</div>;
+            return (
+              <>
+                <div className="grid md:grid-cols-6 gap-3 text-sm">
+                  {[
+                    ["Matches", sm.matches],
+                    ["Runs", `${sm.batting.runs} @ ${sm.batting.average}`],
+                    ["Strike rate", sm.batting.strikeRate],
+                    ["Wickets", `${sm.bowling.wickets}${sm.bowling.average ? ` @ ${sm.bowling.average}` : ""}`],
+                    ["Economy", sm.bowling.innings ? sm.bowling.economy : "-"],
+                    ["Catches", sm.fielding.catches],
+                  ].map(([label, value]) => (
+                    <div key={label} className="p-3 rounded-2xl border bg-white"><div className="text-gray-500">{label}</div><div className="text-xl font-semibold">{value}</div></div>
+                  ))}
+                </div>
+                <div className="text-xs text-gray-500 mt-2">
+                  {fmtDate(sm.from)} – {fmtDate(sm.to)} · HS {sm.batting.highest ?? "-"} · 50s/100s {sm.batting.fifties}/{sm.batting.hundreds} · Best {sm.bowling.best ?? "-"}
+                </div>
+                {[
+                  ["Batting", ["M", "Inns", "Runs", "Avg", "SR", "HS", "50/100", "4s/6s"], (x) => [x.matches, x.batting.innings, x.batting.runs, x.batting.average, x.batting.strikeRate, x.batting.highest ?? "-", `${x.batting.fifties}/${x.batting.hundreds}`, `${x.batting.fours}/${x.batting.sixes}`]],
+                  ["Bowling", ["Inns", "Overs", "Runs", "Wkts", "Avg", "Econ", "SR", "Best"], (x) => [x.bowling.innings, x.bowling.overs, x.bowling.runs, x.bowling.wickets, x.bowling.average ?? "-", x.bowling.innings ? x.bowling.economy : "-", x.bowling.strikeRate ?? "-", x.bowling.best ?? "-"]],
+                  ["Fielding", ["Catches", "Run-outs", "Drops", "Misfields"], (x) => [x.fielding.catches, x.fielding.runOuts, x.fielding.drops, x.fielding.misfields]],
+                ].map(([title, head, cells]) => (
+                  <div key={title} className="mt-4 overflow-auto rounded-2xl border">
+                    <table className="min-w-full text-sm">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="p-2 text-left">{title} by competition</th>
+                          {head.map((h) => <th key={h} className="p-2 text-left">{h}</th>)}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {rows.map((r) => (
+                          <tr key={r.id || "unassigned"} className="border-t">
+                            <td className="p-2 font-medium">{r.name}</td>
+                            {cells(r.summary).map((v, i) => <td key={i} className="p-2">{v}</td>)}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                ))}
+              </>
+            );
+          })()}
+        </Section>
+
         {/* Form */}
-        <Section title="Add / Edit Match" right={<Button onClick={addOrUpdateEntry}><Plus className="w-4 h-4 mr-2"/>Save Entry</Button>}>
+        <Section title="Add / Edit Match" right={
+          <div className="flex items-center gap-3">
+            {showValidation && Object.keys(validation.errors).length > 0 && <span className="text-xs text-red-600">Fix {Object.keys(validation.errors).length} highlighted field(s) to save.</span>}
+            <Button onClick={addOrUpdateEntry}><Plus className="w-4 h-4 mr-2"/>Save Entry</Button>
+          </div>
+        }>
+          <QuickEntryBox key={form.id || "new"} onApply={applyQuickEntry} />
           <div className="grid md:grid-cols-4 gap-4">
-            <Field label="Date"><Input type="date" value={form.date} onChange={e => setForm({ ...form, date: e.target.value })} /></Field>
+            <Field label="Player">
+              <Select value={form.playerId || "none"} onValueChange={(v) => setForm({ ...form, playerId: v === "none" ? "" : v })}>
+                <SelectTrigger><SelectValue placeholder="Player"/></SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="none">Unassigned</SelectItem>
+                  {players.map(p => <SelectItem key={p.id} value={p.id}>{p.name}</SelectItem>)}
+                </SelectContent>
+              </Select>
+            </Field>
+            <Field label="Date" name="date"><Input type="date" value={form.date} onChange={e => setForm({ ...form, date: e.target.value })} /></Field>
             <Field label="Time"><Input type="time" value={form.time} onChange={e => setForm({ ...form, time: e.target.value })} /></Field>
             <Field label="Format">
               <Select value={form.format} onValueChange={(v) => setForm({ ...form, format: v })}>
@@ -494,43 +3128,110 @@ export default function CricketTrackerApp() {
                 <SelectContent>{MATCH_TYPES.map(m => <SelectItem key={m} value={m}>{m}</SelectItem>)}</SelectContent>
               </Select>
             </Field>
+            <Field label="Competition">
+              <Select value={form.competitionId || "none"} onValueChange={(v) => setForm({ ...form, competitionId: v === "none" ? "" : v })}>
+                <SelectTrigger><SelectValue placeholder="Competition"/></SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="none">None</SelectItem>
+                  {[...competitionsOn(form.date, competitions), ...competitions.filter((c) => !inDateRange(form.date, c.from, c.to))].map(c => (
+                    <SelectItem key={c.id} value={c.id}>{c.name}{c.seasonId ? ` (${seasonName(c.seasonId)})` : ""}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </Field>
             <Field label="Venue / Notes"><Input placeholder="Ground / indoor nets / city" value={form.venue} onChange={e => setForm({ ...form, venue: e.target.value })} /></Field>
+            <Field label="Opposition">
+              <Input list="opposition-options" placeholder="Team played against" value={form.opposition} onChange={e => setForm({ ...form, opposition: e.target.value })} />
+              <datalist id="opposition-options">{oppositionOptions.map(o => <option key={o} value={o} />)}</datalist>
+            </Field>
+            <Field label="Ground">
+              <Input list="ground-options" placeholder="Ground name" value={form.ground} onChange={e => setForm({ ...form, ground: e.target.value })} />
+              <datalist id="ground-options">{groundOptions.map(g => <option key={g} value={g} />)}</datalist>
+            </Field>
+            <Field label="Scoring Mode">
+              <Select value={scoringMode} onValueChange={setScoringMode}>
+                <SelectTrigger><SelectValue placeholder="Scoring mode"/></SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="summary">Summary totals</SelectItem>
+                  <SelectItem value="ball">Ball-by-ball</SelectItem>
+                </SelectContent>
+              </Select>
+            </Field>
           </div>
 
           {/* Batting */}
           <div className="mt-6 grid gap-3">
             <h3 className="font-semibold">Batting</h3>
+            {scoringMode === "ball" && <BallByBallScorer title="Balls faced" log={form.battingBalls} onChange={setBattingBalls} />}
             <div className="grid md:grid-cols-6 gap-3">
-              <Field label="Runs"><Input inputMode="numeric" value={form.runs} onChange={e => setForm({ ...form, runs: e.target.value })} /></Field>
-              <Field label="Balls"><Input inputMode="numeric" value={form.balls} onChange={e => setForm({ ...form, balls: e.target.value })} /></Field>
-              <Field label="1s"><Input inputMode="numeric" value={form.singles} onChange={e => setForm({ ...form, singles: e.target.value })} /></Field>
-              <Field label="2s"><Input inputMode="numeric" value={form.doubles} onChange={e => setForm({ ...form, doubles: e.target.value })} /></Field>
-              <Field label="3s"><Input inputMode="numeric" value={form.triples} onChange={e => setForm({ ...form, triples: e.target.value })} /></Field>
-              <Field label="4s"><Input inputMode="numeric" value={form.fours} onChange={e => setForm({ ...form, fours: e.target.value })} /></Field>
-              <Field label="6s"><Input inputMode="numeric" value={form.sixes} onChange={e => setForm({ ...form, sixes: e.target.value })} /></Field>
-              <Field label="Dots"><Input inputMode="numeric" value={form.dots} onChange={e => setForm({ ...form, dots: e.target.value })} /></Field>
-              <Field label="Dismissal">
+              <Field label="Runs" name="runs"><Input inputMode="numeric" value={form.runs} onChange={e => setForm({ ...form, runs: e.target.value })} /></Field>
+              <Field label="Balls" name="balls"><Input inputMode="numeric" value={form.balls} onChange={e => setForm({ ...form, balls: e.target.value })} /></Field>
+              <Field label="1s" name="singles"><Input inputMode="numeric" value={form.singles} onChange={e => setForm({ ...form, singles: e.target.value })} /></Field>
+              <Field label="2s" name="doubles"><Input inputMode="numeric" value={form.doubles} onChange={e => setForm({ ...form, doubles: e.target.value })} /></Field>
+              <Field label="3s" name="triples"><Input inputMode="numeric" value={form.triples} onChange={e => setForm({ ...form, triples: e.target.value })} /></Field>
+              <Field label="4s" name="fours"><Input inputMode="numeric" value={form.fours} onChange={e => setForm({ ...form, fours: e.target.value })} /></Field>
+              <Field label="6s" name="sixes"><Input inputMode="numeric" value={form.sixes} onChange={e => setForm({ ...form, sixes: e.target.value })} /></Field>
+              <Field label="Dots" name="dots"><Input inputMode="numeric" value={form.dots} onChange={e => setForm({ ...form, dots: e.target.value })} /></Field>
+              <Field label="Dismissal" name="dismissal">
                 <Select value={form.dismissal} onValueChange={(v) => setForm({ ...form, dismissal: v })}>
                   <SelectTrigger><SelectValue placeholder="Dismissal type"/></SelectTrigger>
                   <SelectContent>{DISMISSALS.map(d => <SelectItem key={d} value={d}>{d}</SelectItem>)}</SelectContent>
                 </Select>
               </Field>
+              <Field label="Bowler Type Faced">
+                <Select value={form.bowlerType || "none"} onValueChange={(v) => setForm({ ...form, bowlerType: v === "none" ? "" : v })}>
+                  <SelectTrigger><SelectValue placeholder="Mainly faced"/></SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="none">Not recorded</SelectItem>
+                    {BOWLER_TYPES.map(b => <SelectItem key={b} value={b}>{b}</SelectItem>)}
+                  </SelectContent>
+                </Select>
+              </Field>
               <Field label={`Strike Rate: ${calcStrikeRate(toInt(form.runs), toInt(form.balls))}`}><div className="text-xs text-gray-500">Calculated automatically</div></Field>
             </div>
+            <div className="grid md:grid-cols-6 gap-3">
+              <Field label="Batting Position" name="battingPosition"><Input inputMode="numeric" placeholder="1–11" value={form.battingPosition} onChange={e => setForm({ ...form, battingPosition: e.target.value })} /></Field>
+              <Field label="Team Total" name="teamTotal"><Input inputMode="numeric" placeholder="Team's runs" value={form.teamTotal} onChange={e => setForm({ ...form, teamTotal: e.target.value })} /></Field>
+              <Field label="Innings" name="inningsType">
+                <Select value={form.inningsType || "none"} onValueChange={(v) => setForm({ ...form, inningsType: v === "none" ? "" : v, target: v === "Chasing" ? form.target : "" })}>
+                  <SelectTrigger><SelectValue placeholder="Setting or chasing"/></SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="none">Not recorded</SelectItem>
+                    {INNINGS_TYPES.map(t => <SelectItem key={t} value={t}>{t}</SelectItem>)}
+                  </SelectContent>
+                </Select>
+              </Field>
+              <Field label="Target" name="target"><Input inputMode="numeric" placeholder="When chasing" disabled={form.inningsType !== "Chasing"} value={form.target} onChange={e => setForm({ ...form, target: e.target.value })} /></Field>
+              <Field label="Result" name="result">
+                <Select value={form.result || "none"} onValueChange={(v) => setForm({ ...form, result: v === "none" ? "" : v })}>
+                  <SelectTrigger><SelectValue placeholder="Match result"/></SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="none">Not recorded</SelectItem>
+                    {MATCH_RESULTS.map(r => <SelectItem key={r} value={r}>{r}</SelectItem>)}
+                  </SelectContent>
+                </Select>
+              </Field>
+              <Field label={`Share of Team Runs: ${toInt(form.teamTotal) ? `${Math.round((toInt(form.runs) / toInt(form.teamTotal)) * 100)}%` : "-"}`}><div className="text-xs text-gray-500">Needs the team total</div></Field>
+            </div>
+            <WagonWheelInput key={form.id || "new"} shots={form.wagonWheel} leftHanded={isLeftHanded(form.playerId)} onChange={(wagonWheel) => setForm((f) => ({ ...f, wagonWheel }))}
+              error={showValidation && validation.errors.wagonWheel} />
             <Field label="Key Takeaways (Batting)"><Textarea rows={3} value={form.battingNotes} onChange={e => setForm({ ...form, battingNotes: e.target.value })} placeholder="What went well? What to improve?"/></Field>
           </div>
 
           {/* Bowling */}
           <div className="mt-6 grid gap-3">
             <h3 className="font-semibold">Bowling</h3>
+            {scoringMode === "ball" && <BallByBallScorer title="Balls bowled" log={form.bowlingBalls} onChange={setBowlingBalls} />}
+            <PitchMapInput key={form.id || "new"} deliveries={form.pitchMap} onChange={(pitchMap) => setForm((f) => ({ ...f, pitchMap }))}
+              error={showValidation && validation.errors.pitchMap} />
             <div className="grid md:grid-cols-7 gap-3">
-              <Field label="Overs (e.g., 3.2)"><Input value={form.overs} onChange={e => setForm({ ...form, overs: e.target.value })} /></Field>
-              <Field label="Balls (alt to Overs)"><Input inputMode="numeric" value={form.bowlBalls} onChange={e => setForm({ ...form, bowlBalls: e.target.value })} /></Field>
-              <Field label="Runs Conceded"><Input inputMode="numeric" value={form.runsConceded} onChange={e => setForm({ ...form, runsConceded: e.target.value })} /></Field>
-              <Field label="Wickets"><Input inputMode="numeric" value={form.wickets} onChange={e => setForm({ ...form, wickets: e.target.value })} /></Field>
-              <Field label="Maidens"><Input inputMode="numeric" value={form.maidens} onChange={e => setForm({ ...form, maidens: e.target.value })} /></Field>
-              <Field label="Wides"><Input inputMode="numeric" value={form.wides} onChange={e => setForm({ ...form, wides: e.target.value })} /></Field>
-              <Field label="No-Balls"><Input inputMode="numeric" value={form.noBalls} onChange={e => setForm({ ...form, noBalls: e.target.value })} /></Field>
+              <Field label="Overs (e.g., 3.2)" name="overs"><Input value={form.overs} onChange={e => setForm({ ...form, overs: e.target.value })} /></Field>
+              <Field label="Balls (alt to Overs)" name="bowlBalls"><Input inputMode="numeric" value={form.bowlBalls} onChange={e => setForm({ ...form, bowlBalls: e.target.value })} /></Field>
+              <Field label="Runs Conceded" name="runsConceded"><Input inputMode="numeric" value={form.runsConceded} onChange={e => setForm({ ...form, runsConceded: e.target.value })} /></Field>
+              <Field label="Wickets" name="wickets"><Input inputMode="numeric" value={form.wickets} onChange={e => setForm({ ...form, wickets: e.target.value })} /></Field>
+              <Field label="Maidens" name="maidens"><Input inputMode="numeric" value={form.maidens} onChange={e => setForm({ ...form, maidens: e.target.value })} /></Field>
+              <Field label="Wides" name="wides"><Input inputMode="numeric" value={form.wides} onChange={e => setForm({ ...form, wides: e.target.value })} /></Field>
+              <Field label="No-Balls" name="noBalls"><Input inputMode="numeric" value={form.noBalls} onChange={e => setForm({ ...form, noBalls: e.target.value })} /></Field>
             </div>
             <div className="text-xs text-gray-500">Economy auto: {calcEconomy(toInt(form.runsConceded), form.overs || (form.bowlBalls ? ballsToOvers(toInt(form.bowlBalls)) : 0))}</div>
             <Field label="Key Takeaways (Bowling)"><Textarea rows={3} value={form.bowlingNotes} onChange={e => setForm({ ...form, bowlingNotes: e.target.value })} placeholder="Plans, lengths, what worked, what to adjust"/></Field>
@@ -540,15 +3241,160 @@ export default function CricketTrackerApp() {
           <div className="mt-6 grid gap-3">
             <h3 className="font-semibold">Fielding</h3>
             <div className="grid md:grid-cols-6 gap-3">
-              <Field label="Catches"><Input inputMode="numeric" value={form.catches} onChange={e => setForm({ ...form, catches: e.target.value })} /></Field>
-              <Field label="Run-Outs"><Input inputMode="numeric" value={form.runOuts} onChange={e => setForm({ ...form, runOuts: e.target.value })} /></Field>
-              <Field label="Drops"><Input inputMode="numeric" value={form.drops} onChange={e => setForm({ ...form, drops: e.target.value })} /></Field>
-              <Field label="Misfields"><Input inputMode="numeric" value={form.misfields} onChange={e => setForm({ ...form, misfields: e.target.value })} /></Field>
+              <Field label="Catches" name="catches"><Input inputMode="numeric" value={form.catches} onChange={e => setForm({ ...form, catches: e.target.value })} /></Field>
+              <Field label="Run-Outs" name="runOuts"><Input inputMode="numeric" value={form.runOuts} onChange={e => setForm({ ...form, runOuts: e.target.value })} /></Field>
+              <Field label="Drops" name="drops"><Input inputMode="numeric" value={form.drops} onChange={e => setForm({ ...form, drops: e.target.value })} /></Field>
+              <Field label="Misfields" name="misfields"><Input inputMode="numeric" value={form.misfields} onChange={e => setForm({ ...form, misfields: e.target.value })} /></Field>
             </div>
             <Field label="Key Takeaways (Fielding)"><Textarea rows={3} value={form.fieldingNotes} onChange={e => setForm({ ...form, fieldingNotes: e.target.value })} placeholder="Positioning, reactions, throws"/></Field>
           </div>
         </Section>
 
+        {/* Bowling Analytics */}
+        <Section title="Bowling Analytics">
+          <div className="grid md:grid-cols-4 gap-4">
+            <Stat icon={Target} label="Wickets" value={bowlingStats.wickets} hint={`${bowlingStats.innings} inns, ${bowlingStats.overs} ov`} />
+            <Stat icon={Target} label="Bowling Avg" value={bowlingStats.average ?? "-"} hint="runs per wicket" />
+            <Stat icon={Target} label="Bowling SR" value={bowlingStats.strikeRate ?? "-"} hint="balls per wicket" />
+            <Stat icon={TrendingUp} label="Economy" value={bowlingStats.economy} hint={`${bowlingStats.runs} runs conceded`} />
+            <Stat icon={Target} label="Best Figures" value={bowlingStats.bestFigures} hint={bowlingStats.best ? fmtDate(bowlingStats.best.date) : undefined} />
+            <Stat icon={Target} label="3+ / 5+ Wkt Hauls" value={`${bowlingStats.threeFers} / ${bowlingStats.fiveFers}`} />
+            <Stat icon={Target} label="Maidens" value={bowlingStats.maidens} />
+            <Stat icon={TrendingUp} label="Extras / Over" value={bowlingStats.extrasPerOver} hint={`${bowlingStats.extras} wides + no-balls`} />
+          </div>
+          {bowlingTrend.length > 0 && (
+            <div className="mt-4 grid lg:grid-cols-2 gap-6">
+              <div className="h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={bowlingTrend}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="date" />
+                    <YAxis />
+                    <Tooltip />
+                    <Legend />
+                    <Line type="monotone" dataKey="economy" name="Economy" stroke="#ff8042" />
+                    <Line type="monotone" dataKey="rollEconomy" name={`Economy (last ${rollingWindow})`} stroke="#8884d8" strokeDasharray="5 5" dot={false} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+              <div className="h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <ComposedChart data={bowlingTrend}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="date" />
+                    <YAxis />
+                    <Tooltip />
+                    <Legend />
+                    <Bar dataKey="wickets" name="Wickets" fill="#82ca9d" />
+                    <Line type="monotone" dataKey="rollWickets" name={`Wkts/match (last ${rollingWindow})`} stroke="#8884d8" strokeDasharray="5 5" dot={false} />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          )}
+          {pitchMap.deliveries > 0 && (
+            <div className="mt-6 grid lg:grid-cols-2 gap-6">
+              <div>
+                <div className="font-semibold mb-2">Pitch Map <span className="text-xs text-gray-500 font-normal">({pitchMap.deliveries} deliveries over {pitchMap.spells} spells)</span></div>
+                <PitchMap cells={Object.fromEntries(Object.entries(pitchMap.cells).map(([k, c]) => [k, {
+                  text: c.deliveries || "",
+                  weight: c.deliveries / pitchMap.deliveries,
+                  title: `${c.deliveries} deliveries, ${c.runs} runs, ${c.wickets} wkts, econ ${c.economy}`,
+                }]))} />
+              </div>
+              <div>
+                <div className="font-semibold mb-2">By Length</div>
+                <table className="w-full text-sm">
+                  <thead><tr className="text-left text-xs text-gray-500"><th>Length</th><th>Balls</th><th>Runs</th><th>Econ</th><th>Wkts</th><th>Wkt %</th><th>Balls/Wkt</th></tr></thead>
+                  <tbody>
+                    {pitchMap.byLength.map((l) => (
+                      <tr key={l.key} className="border-t"><td className="py-1">{l.label}</td><td>{l.deliveries}</td><td>{l.runs}</td><td>{l.balls ? l.economy : "-"}</td><td>{l.wickets}</td><td>{l.deliveries ? `${l.wicketPct}%` : "-"}</td><td>{l.ballsPerWicket ?? "-"}</td></tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="h-48 mt-3">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={pitchMap.byLength.filter((l) => l.deliveries)}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="label" />
+                      <YAxis />
+                      <Tooltip />
+                      <Legend />
+                      <Bar dataKey="economy" name="Economy" fill="#ff8042" />
+                      <Bar dataKey="wicketPct" name="Wkt %" fill="#82ca9d" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+            </div>
+          )}
+        </Section>
+
+        {/* Bowling Workload */}
+        <Section title="Bowling Workload" right={
+          <div className="flex flex-wrap items-end gap-2">
+            <div className="w-28">
+              <Label className="text-xs">Weekly limit</Label>
+              <Input type="number" min={0} value={workloadSettings.weeklyLimit} onChange={(e) => setWorkloadSettings({ ...workloadSettings, weeklyLimit: e.target.value })} />
+            </div>
+            <div className="w-28">
+              <Label className="text-xs">Spike ratio</Label>
+              <Input type="number" min={1} step={0.1} value={workloadSettings.spikeRatio} onChange={(e) => setWorkloadSettings({ ...workloadSettings, spikeRatio: e.target.value })} />
+            </div>
+            <Select value={String(workloadRange)} onValueChange={(v) => setWorkloadRange(Number(v))}>
+              <SelectTrigger className="w-32"><SelectValue /></SelectTrigger>
+              <SelectContent>
+                {WORKLOAD_RANGES.map(([days, label]) => <SelectItem key={days} value={String(days)}>{label}</SelectItem>)}
+              </SelectContent>
+            </Select>
+          </div>
+        }>
+          {!workload.now ? (
+            <div className="text-sm text-gray-500">No balls bowled yet. Matches and net sessions with overs or balls bowled count towards workload.</div>
+          ) : (
+            <>
+              {activePlayerId === ALL_PLAYERS && <div className="text-xs text-gray-500 mb-3">Showing the whole squad's combined load; pick a player in the switcher for their own ratio. Warnings below are per player.</div>}
+              <div className="grid md:grid-cols-4 gap-4">
+                <Stat icon={Target} label="Balls (last 7 days)" value={workload.now.acute} hint={`limit ${workloadSettings.weeklyLimit || "-"}`} />
+                <Stat icon={Target} label="Weekly avg (28 days)" value={workload.now.chronic} />
+                <Stat icon={TrendingUp} label="Acute:Chronic" value={workload.now.ratio ?? "-"} hint={workload.now.ratio == null ? "needs 4 weeks of history" : `safe ${WORKLOAD_SAFE_BAND.join("–")}`} />
+                <Stat icon={Target} label="Balls today" value={workload.now.balls} />
+              </div>
+              <div className="mt-4 grid lg:grid-cols-2 gap-6">
+                <div className="h-64">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <ComposedChart data={workload.daily}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="label" />
+                      <YAxis yAxisId="balls" />
+                      <YAxis yAxisId="ratio" orientation="right" domain={[0, (max) => Math.max(2, Math.ceil(max * 2) / 2)]} />
+                      <Tooltip />
+                      <Legend />
+                      <ReferenceArea yAxisId="ratio" y1={WORKLOAD_SAFE_BAND[0]} y2={WORKLOAD_SAFE_BAND[1]} fill="#82ca9d" fillOpacity={0.15} />
+                      <ReferenceArea yAxisId="ratio" y1={Number(workloadSettings.spikeRatio) || DEFAULT_WORKLOAD_SETTINGS.spikeRatio} fill="#ff8042" fillOpacity={0.15} />
+                      <Bar yAxisId="balls" dataKey="balls" name="Balls per day" fill="#8884d8" />
+                      <Line yAxisId="ratio" type="monotone" dataKey="ratio" name="Acute:Chronic" stroke="#ff8042" dot={false} connectNulls />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+                <div className="h-64">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={workload.weekly}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="label" />
+                      <YAxis />
+                      <Tooltip />
+                      <Legend />
+                      <Bar dataKey="balls" name="Balls per week (from Monday)" fill="#82ca9d" />
+                      {Number(workloadSettings.weeklyLimit) > 0 && <ReferenceLine y={Number(workloadSettings.weeklyLimit)} stroke="#ff8042" strokeDasharray="5 5" label="Limit" />}
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+            </>
+          )}
+        </Section>
+
         {/* Visualizations */}
         <div className="grid lg:grid-cols-2 gap-6">
           <Section title="Runs Over Time">
@@ -562,22 +3408,43 @@ export default function CricketTrackerApp() {
                   <Legend />
                   <Line type="monotone" dataKey="runs" name="Runs" />
                   <Line type="monotone" dataKey="sr" name="Strike Rate" />
+                  <Line type="monotone" dataKey="rollAvg" name={`Avg (last ${rollingWindow})`} stroke="#8884d8" strokeDasharray="5 5" dot={false} />
                 </LineChart>
               </ResponsiveContainer>
             </div>
           </Section>
 
+          {positionTrend.positions.length > 0 && (
+            <Section title="Runs by Batting Position">
+              <div className="h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={positionTrend.data}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="date" />
+                    <YAxis />
+                    <Tooltip />
+                    <Legend />
+                    {positionTrend.positions.map((p, i) => (
+                      <Line key={p} type="monotone" dataKey={`pos${p}`} name={`No. ${p}`} stroke={PIE_COLORS[i % PIE_COLORS.length]} connectNulls />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </Section>
+          )}
+
           <Section title="Strike Rate by Innings">
             <div className="h-64">
               <ResponsiveContainer width="100%" height="100%">
-                <BarChart data={runTrend}>
+                <ComposedChart data={runTrend}>
                   <CartesianGrid strokeDasharray="3 3" />
                   <XAxis dataKey="date" />
                   <YAxis />
                   <Tooltip />
                   <Legend />
                   <Bar dataKey="sr" name="Strike Rate" />
-                </BarChart>
+                  <Line type="monotone" dataKey="rollSR" name={`SR (last ${rollingWindow})`} stroke="#ff8042" strokeDasharray="5 5" dot={false} />
+                </ComposedChart>
               </ResponsiveContainer>
             </div>
           </Section>
@@ -611,82 +3478,123 @@ export default function CricketTrackerApp() {
             </div>
           </Section>
 
-          <Section title="Skill Radar">
-            <div className="h-72">
-              <ResponsiveContainer width="100%" height="100%">
-                <RadarChart data={[
-                  { key: "Run Volume", val: skillScores.batVolume },
-                  { key: "Strike Rate", val: skillScores.batSR },
-                  { key: "Rotation", val: skillScores.rotation },
-                  { key: "Power", val: skillScores.power },
-                  { key: "Wkt Threat", val: skillScores.bowlStrike },
-                  { key: "Economy", val: skillScores.economy },
-                  { key: "Fielding", val: skillScores.fielding },
-                ]}>
-                  <PolarGrid />
-                  <PolarAngleAxis dataKey="key" />
-                  <PolarRadiusAxis angle={30} domain={[0, 100]} />
-                  <Radar dataKey="val" name="Score" />
-                  <Tooltip />
-                </RadarChart>
-              </ResponsiveContainer>
+          <Section title={`Wagon Wheel (${wagon.innings} innings)`}>
+            {wagon.runs === 0 ? (
+              <div className="text-sm text-gray-500">No shots recorded yet. Use "Record shots" under Batting when adding a match.</div>
+            ) : (
+              <div className="grid md:grid-cols-2 gap-4 items-start">
+                <WagonWheel leftHanded={activePlayerId !== ALL_PLAYERS && isLeftHanded(activePlayerId)}
+                  values={Object.fromEntries(wagon.zones.map((z) => [z.key, { text: `${z.pct}%`, weight: z.pct / Math.max(...wagon.zones.map((x) => x.pct)) }]))} />
+                <div className="text-sm">
+                  <div className="text-xs text-gray-500 mb-2">{wagon.runs} runs recorded · off side {wagon.offPct}% · leg side {+(100 - wagon.offPct).toFixed(1)}%</div>
+                  <table className="w-full">
+                    <thead><tr className="text-left text-xs text-gray-500"><th>Zone</th><th>Shots</th><th>Runs</th><th>4s/6s</th><th>%</th></tr></thead>
+                    <tbody>
+                      {wagon.zones.map((z) => (
+                        <tr key={z.key} className="border-t"><td className="py-1">{z.label}</td><td>{z.shots}</td><td>{z.runs}</td><td>{z.fours}/{z.sixes}</td><td>{z.pct}%</td></tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+          </Section>
+
+          <Section title="Skill Radar" right={
+            <div className="flex items-center gap-2">
+              <div className="w-48">
+                <Select value={radarMode} onValueChange={setRadarMode}>
+                  <SelectTrigger><SelectValue placeholder="Mode"/></SelectTrigger>
+                  <SelectContent>{RADAR_MODES.map(([k, label]) => <SelectItem key={k} value={k}>{label}</SelectItem>)}</SelectContent>
+                </Select>
+              </div>
+              <Button variant="outline" onClick={() => setShowBenchmarkSettings((v) => !v)}>{showBenchmarkSettings ? "Hide Bands" : "Benchmarks"}</Button>
             </div>
+          }>
+            {radarScores ? (
+              <div className="h-72">
+                <ResponsiveContainer width="100%" height="100%">
+                  <RadarChart data={skillRadarData(radarScores)}>
+                    <PolarGrid />
+                    <PolarAngleAxis dataKey="key" />
+                    <PolarRadiusAxis angle={30} domain={[0, 100]} />
+                    <Radar dataKey="val" name={radarMode === "percentile" ? "Percentile" : "Score"} isAnimationActive={!radarPlaying} />
+                    <Tooltip />
+                  </RadarChart>
+                </ResponsiveContainer>
+              </div>
+            ) : (
+              <div className="h-72 flex items-center justify-center text-sm text-gray-500">Percentiles need at least {rollingWindow + 2} matches in this scope.</div>
+            )}
+            <div className="text-xs text-gray-500">
+              {radarMode === "percentile"
+                ? `Last ${rollingWindow} matches ranked against every earlier ${rollingWindow}-match stretch (100 = best so far).`
+                : "Each axis scored against its format's band (0 = band floor, 100 = band top); mixed formats are blended by innings."}
+            </div>
+            {skillFrames.length > 1 && (
+              <div className="flex items-center gap-2 mt-2 text-xs">
+                <Button size="sm" variant="outline" onClick={toggleRadarPlay}>{radarPlaying ? "Pause" : "Play"}</Button>
+                <input type="range" className="flex-1" min={0} max={skillFrames.length - 1}
+                  value={radarFrame ?? skillFrames.length - 1}
+                  onChange={(e) => { setRadarPlaying(false); setRadarFrame(Number(e.target.value)); }} />
+                <span className="w-36 text-right text-gray-500">
+                  {radarFrame == null ? "Now" : `Last ${rollingWindow} to ${fmtDate(skillFrames[radarFrame].date)}`}
+                </span>
+                {radarFrame != null && <Button size="sm" variant="outline" onClick={() => { setRadarPlaying(false); setRadarFrame(null); }}>Live</Button>}
+              </div>
+            )}
+            {showBenchmarkSettings && (
+              <div className="mt-4">
+                <SkillBenchmarksEditor benchmarks={skillBenchmarks} onChange={setSkillBenchmarks} onReset={() => setSkillBenchmarks(DEFAULT_SKILL_BENCHMARKS)} />
+              </div>
+            )}
           </Section>
         </div>
 
-        {/* Insights */}
-        <Section title="Auto Insights & Suggestions" right={<Button variant="outline" onClick={() => window.scrollTo({ top: 0, behavior: 'smooth' })}><RefreshCw className="w-4 h-4 mr-2"/>Log More</Button>}>
-          <div className="grid md:grid-cols-2 gap-3">
-            {insights.map((it, idx) => (
-              <motion.div key={idx} initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: idx * 0.03 }} className="p-3 rounded-2xl border bg-white">
-                <div className="text-xs text-gray-500 mb-1">{it.area}</div>
-                <div className="text-sm font-medium">{it.msg}</div>
-              </motion.div>
-            ))}
+        {/* Splits */}
+        <Section title="Batting Splits" right={
+          <div className="w-40">
+            <Select value={splitBy} onValueChange={setSplitBy}>
+              <SelectTrigger><SelectValue placeholder="Split by"/></SelectTrigger>
+              <SelectContent>{SPLIT_DIMENSIONS.map(d => <SelectItem key={d.key} value={d.key}>By {d.label.toLowerCase()}</SelectItem>)}</SelectContent>
+            </Select>
           </div>
-        </Section>
-
-        {/* Data Table */}
-        <Section title="All Entries">
-          {entries.length === 0 ? (
-            <div className="text-sm text-gray-500">No entries yet. Add your first match above.</div>
+        }>
+          {runShare.share != null && (
+            <div className="text-sm text-gray-600 mb-3">
+              {runShare.share}% of team runs: {runShare.runs} of {runShare.teamRuns} over {runShare.innings} innings with a team total recorded.
+            </div>
+          )}
+          {splits.length === 0 ? (
+            <div className="text-sm text-gray-500">No innings in the current selection.</div>
           ) : (
             <div className="overflow-auto rounded-2xl border">
               <table className="min-w-full text-sm">
                 <thead className="bg-gray-50">
                   <tr>
-                    <th className="p-2 text-left">Date</th>
-                    <th className="p-2 text-left">Format</th>
-                    <th className="p-2 text-left">Type</th>
-                    <th className="p-2 text-left">Runs (Balls)</th>
-                    <th className="p-2 text-left">4s/6s</th>
-                    <th className="p-2 text-left">Dismissal</th>
-                    <th className="p-2 text-left">Overs</th>
-                    <th className="p-2 text-left">R</th>
-                    <th className="p-2 text-left">W</th>
-                    <th className="p-2 text-left">Md</th>
-                    <th className="p-2 text-left">C/RO</th>
-                    <th className="p-2 text-left">Actions</th>
+                    <th className="p-2 text-left">{SPLIT_DIMENSIONS.find((d) => d.key === splitBy).label}</th>
+                    <th className="p-2 text-left">Inns</th>
+                    <th className="p-2 text-left">Runs</th>
+                    <th className="p-2 text-left">Outs</th>
+                    <th className="p-2 text-left">Avg</th>
+                    <th className="p-2 text-left">SR</th>
+                    <th className="p-2 text-left">HS</th>
+                    <th className="p-2 text-left">Team %</th>
+                    <th className="p-2 text-left">Dismissal mix</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {sorted.map((e) => (
-                    <tr key={e.id} className="border-t">
-                      <td className="p-2 whitespace-nowrap">{fmtDate(e.date)} {e.time ? `• ${e.time}` : ""}</td>
-                      <td className="p-2">{e.format}</td>
-                      <td className="p-2">{e.matchType}</td>
-                      <td className="p-2">{e.runs || 0} ({e.balls || 0})</td>
-                      <td className="p-2">{e.fours || 0}/{e.sixes || 0}</td>
-                      <td className="p-2">{e.dismissal}</td>
-                      <td className="p-2">{e.overs || (e.bowlBalls ? ballsToOvers(e.bowlBalls) : "-")}</td>
-                      <td className="p-2">{e.runsConceded || 0}</td>
-                      <td className="p-2">{e.wickets || 0}</td>
-                      <td className="p-2">{e.maidens || 0}</td>
-                      <td className="p-2">{(e.catches || 0)}/{(e.runOuts || 0)}</td>
-                      <td className="p-2 flex gap-2">
-                        <Button size="sm" variant="outline" onClick={() => setForm({ ...e })}>Edit</Button>
-                        <Button size="sm" variant="destructive" onClick={() => deleteEntry(e.id)}>Delete</Button>
-                      </td>
+                  {splits.map((r) => (
+                    <tr key={r.name} className={`border-t ${r.name === NOT_RECORDED ? "text-gray-400" : ""}`}>
+                      <td className="p-2">{splitBy === "battingPosition" && r.name !== NOT_RECORDED ? `No. ${r.name}` : r.name}</td>
+                      <td className="p-2">{r.innings}</td>
+                      <td className="p-2">{r.runs}</td>
+                      <td className="p-2">{r.outs}</td>
+                      <td className="p-2">{r.average}</td>
+                      <td className="p-2">{r.strikeRate}</td>
+                      <td className="p-2">{r.highest}</td>
+                      <td className="p-2">{r.share != null ? `${r.share}%` : "-"}</td>
+                      <td className="p-2 text-xs">{r.dismissals.length ? r.dismissals.map((d) => `${d.name} ${d.pct}%`).join(" · ") : "-"}</td>
                     </tr>
                   ))}
                 </tbody>
@@ -695,8 +3603,288 @@ export default function CricketTrackerApp() {
           )}
         </Section>
 
+        {/* Goals */}
+        <Section title="Goals">
+          <GoalForm onAdd={addGoal} />
+          <div className="mt-4 grid gap-3">
+            {goalRows.filter((g) => g.status === "active").length === 0 && <div className="text-sm text-gray-500">No active goals. Set one above to track progress.</div>}
+            {goalRows.filter((g) => g.status === "active").map((g) => (
+              <div key={g.id} className="p-3 rounded-2xl border bg-white grid gap-2">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="text-sm font-medium">{goalLabel(g)}</div>
+                  <div className="flex items-center gap-2">
+                    <span className={`text-xs px-2 py-0.5 rounded-full ${GOAL_STATUS_STYLES[g.result.status]}`}>{g.result.status}</span>
+                    <Button size="sm" variant="outline" onClick={() => setGoals((prev) => prev.filter((x) => x.id !== g.id))}>Remove</Button>
+                  </div>
+                </div>
+                <div className="h-2 rounded-full bg-gray-100 overflow-hidden">
+                  <div className={`h-full ${g.result.status === "at-risk" ? "bg-amber-400" : "bg-blue-500"}`} style={{ width: `${g.result.progress}%` }} />
+                </div>
+                <div className="text-xs text-gray-500">
+                  Now {g.result.value ?? "-"} after {g.result.played} match(es) · projected {g.result.projected ?? "-"} · {g.result.progress}% of target
+                </div>
+              </div>
+            ))}
+          </div>
+          {goalRows.some((g) => g.status !== "active") && (
+            <div className="mt-4">
+              <div className="text-sm font-semibold mb-2">Archive</div>
+              <div className="grid gap-1 text-sm">
+                {goalRows.filter((g) => g.status !== "active").map((g) => (
+                  <div key={g.id} className="flex items-center justify-between gap-2">
+                    <span>{goalLabel(g)} – final {g.finalValue ?? "-"}</span>
+                    <span className="flex items-center gap-2">
+                      <span className={`text-xs px-2 py-0.5 rounded-full ${GOAL_STATUS_STYLES[g.status]}`}>{g.status}</span>
+                      <span className="text-xs text-gray-400">{fmtDate(g.settledAt)}</span>
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </Section>
+
+        {/* Records */}
+        <Section title="Records" right={
+          <div className="flex items-center gap-2 text-xs text-gray-500">
+            Best SR min balls
+            <Input className="w-16" inputMode="numeric" value={recordMinBalls} onChange={e => setRecordMinBalls(Math.max(1, toInt(e.target.value, DEFAULT_RECORD_MIN_BALLS)))} />
+          </div>
+        }>
+          <div className="grid md:grid-cols-3 gap-4 text-sm">
+            {recordGroups(records, recordMinBalls).map((group) => (
+              <div key={group.title} className="p-3 rounded-2xl border bg-white">
+                <div className="font-semibold mb-2">{group.title}</div>
+                {group.rows.map(([label, value, entry]) => (
+                  <div key={label} className="flex justify-between gap-2 py-1 border-t first:border-t-0">
+                    <span className="text-gray-500">{label}</span>
+                    <span className="font-medium text-right">{value}{entry ? <span className="text-xs text-gray-400"> · {fmtDate(entry.date)}</span> : null}</span>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </Section>
+
+        {/* Insights */}
+        <Section title="Auto Insights & Suggestions" right={
+          <div className="flex gap-2">
+            <Button variant="outline" onClick={() => setShowRuleSettings((v) => !v)}>{showRuleSettings ? "Hide Rules" : "Edit Rules"}</Button>
+            <Button variant="outline" onClick={() => window.scrollTo({ top: 0, behavior: 'smooth' })}><RefreshCw className="w-4 h-4 mr-2"/>Log More</Button>
+          </div>
+        }>
+          {showRuleSettings && (
+            <div className="mb-4">
+              <InsightRulesEditor rules={insightRules} onChange={setInsightRules} onReset={() => setInsightRules(DEFAULT_INSIGHT_RULES)} />
+            </div>
+          )}
+          <div className="grid md:grid-cols-2 gap-3">
+            {insights.map((it, idx) => (
+              <motion.div key={idx} initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: idx * 0.03 }} className={`p-3 rounded-2xl border bg-white ${SEVERITY_STYLES[it.severity] || ""}`}>
+                <div className="text-xs text-gray-500 mb-1">{it.area}{it.format ? ` · ${it.format}` : ""}</div>
+                <div className="text-sm font-medium">{it.msg}</div>
+              </motion.div>
+            ))}
+          </div>
+        </Section>
+
+        {/* Data Table */}
+        <Section title="All Entries" right={
+          <div className="flex items-center gap-2">
+            <Input className="w-64" placeholder="Search venue and notes…" value={tableQuery} onChange={e => setTableQuery(e.target.value)} />
+            <div className="w-28">
+              <Select value={String(pageSize)} onValueChange={(v) => setPageSize(toInt(v, PAGE_SIZES[0]))}>
+                <SelectTrigger><SelectValue placeholder="Rows"/></SelectTrigger>
+                <SelectContent>{PAGE_SIZES.map(n => <SelectItem key={n} value={String(n)}>{n} / page</SelectItem>)}</SelectContent>
+              </Select>
+            </div>
+          </div>
+        }>
+          {selectedEntries.length + hiddenSelected > 0 && (
+            <div className="flex flex-wrap items-center gap-2 mb-3 p-2 rounded-2xl border bg-blue-50 text-sm">
+              <span className="font-medium">{selectedEntries.length} selected</span>
+              {hiddenSelected > 0 && <span className="text-gray-500" title="Hidden by the filters or search; bulk actions leave them alone">({hiddenSelected} hidden)</span>}
+              <Button size="sm" variant="outline" onClick={() => setSelectedIds(new Set())}>Clear</Button>
+              <Button size="sm" disabled={!selectedEntries.length} variant="outline" onClick={() => exportJSON(selectedEntries)}><Download className="w-4 h-4 mr-1"/>JSON</Button>
+              <Button size="sm" disabled={!selectedEntries.length} variant="outline" onClick={() => exportCSV(selectedEntries)}><FileSpreadsheet className="w-4 h-4 mr-1"/>CSV</Button>
+              <span className="ml-2 text-gray-500">Set</span>
+              <div className="w-36">
+                <Select value={retag.field} onValueChange={(v) => setRetag({ field: v, value: "" })}>
+                  <SelectTrigger><SelectValue placeholder="Field"/></SelectTrigger>
+                  <SelectContent>{RETAG_FIELDS.map(([k, label]) => <SelectItem key={k} value={k}>{label}</SelectItem>)}</SelectContent>
+                </Select>
+              </div>
+              <span className="text-gray-500">to</span>
+              <div className="w-44">
+                <Select value={retag.value || "__none"} onValueChange={(v) => setRetag({ ...retag, value: v === "__none" ? "" : v })}>
+                  <SelectTrigger><SelectValue placeholder="Value"/></SelectTrigger>
+                  <SelectContent>{retagOptions.map(([v, label]) => <SelectItem key={v || "__none"} value={v || "__none"}>{label}</SelectItem>)}</SelectContent>
+                </Select>
+              </div>
+              <Button size="sm" disabled={!selectedEntries.length} onClick={retagSelected}>Apply</Button>
+              <Button size="sm" disabled={!selectedEntries.length} variant="destructive" className="ml-auto" onClick={deleteSelected}><Trash2 className="w-4 h-4 mr-1"/>Delete</Button>
+            </div>
+          )}
+          {sorted.length === 0 ? (
+            <div className="text-sm text-gray-500">No entries yet. Add your first match above.</div>
+          ) : tableRows.length === 0 ? (
+            <div className="text-sm text-gray-500">No entries match “{tableQuery}”.</div>
+          ) : (
+            <>
+              <div className="overflow-auto rounded-2xl border">
+                <table className="min-w-full text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="p-2 text-left">
+                        <input type="checkbox" title="Select this page" checked={pageRows.every((e) => selectedIds.has(e.id))} onChange={(ev) => selectRows(pageRows, ev.target.checked)} />
+                      </th>
+                      <th className="p-2" />
+                      {ENTRY_COLUMNS.map((c) => (
+                        <th key={c.key} className="p-2 text-left whitespace-nowrap">
+                          <button type="button" className="inline-flex items-center gap-1 hover:underline" onClick={() => sortBy(c.key)}>
+                            {c.label}
+                            {tableSort.key === c.key && (tableSort.dir === "asc" ? <ChevronUp className="w-3 h-3"/> : <ChevronDown className="w-3 h-3"/>)}
+                          </button>
+                        </th>
+                      ))}
+                      <th className="p-2 text-left">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {pageRows.map((e) => {
+                      const notes = ENTRY_NOTES.filter(([k]) => e[k]);
+                      // While searching, rows that matched on their notes open so the hit is visible (until toggled).
+                      const hit = tableTerms.length > 0 && notes.some(([k]) => tableTerms.some((t) => e[k].toLowerCase().includes(t)));
+                      const open = openRows.get(e.id) ?? hit;
+                      return (
+                        <React.Fragment key={e.id}>
+                          <tr className={`border-t ${selectedIds.has(e.id) ? "bg-blue-50" : ""}`}>
+                            <td className="p-2"><input type="checkbox" checked={selectedIds.has(e.id)} onChange={() => toggleInSet(setSelectedIds, e.id)} /></td>
+                            <td className="p-2">
+                              <button type="button" title={open ? "Hide notes" : "Show notes"} onClick={() => setOpenRows((prev) => new Map(prev).set(e.id, !open))}>
+                                {open ? <ChevronDown className="w-4 h-4"/> : <ChevronRight className={`w-4 h-4 ${notes.length ? "" : "text-gray-300"}`}/>}
+                              </button>
+                            </td>
+                            <td className="p-2 whitespace-nowrap">
+                              {fmtDate(e.date)} {e.time ? `• ${e.time}` : ""} {rowAchievements.get(e.id)?.length ? <span title={rowAchievements.get(e.id).join("\n")}>🏆</span> : null}
+                              {e.venue && <div className="text-xs text-gray-500"><Highlight text={e.venue} terms={tableTerms} /></div>}
+                            </td>
+                            <td className="p-2">{playerName(e.playerId)}</td>
+                            <td className="p-2">{e.format}</td>
+                            <td className="p-2">{e.matchType}</td>
+                            <td className="p-2">{e.runs || 0} ({e.balls || 0})</td>
+                            <td className="p-2">{e.fours || 0}/{e.sixes || 0}</td>
+                            <td className="p-2">{e.dismissal}</td>
+                            <td className="p-2">{e.overs || (e.bowlBalls ? ballsToOvers(e.bowlBalls) : "-")}</td>
+                            <td className="p-2">{e.runsConceded || 0}</td>
+                            <td className="p-2">{e.wickets || 0}</td>
+                            <td className="p-2">{e.maidens || 0}</td>
+                            <td className="p-2">{(e.catches || 0)}/{(e.runOuts || 0)}</td>
+                            <td className="p-2 flex gap-2">
+                              <Button size="sm" variant="outline" onClick={() => startEdit(e)}>Edit</Button>
+                              <Button size="sm" variant="outline" onClick={() => setHistoryId(e.id)} title="History"><History className="w-4 h-4"/></Button>
+                              <Button size="sm" variant="destructive" onClick={() => deleteEntry(e.id)}>Delete</Button>
+                            </td>
+                          </tr>
+                          {open && (
+                            <tr className="bg-gray-50">
+                              <td />
+                              <td colSpan={ENTRY_COLUMNS.length + 2} className="p-3 text-sm">
+                                <div className="text-xs text-gray-500 mb-2">
+                                  {[e.competitionId && competitionName(e.competitionId), e.opposition && `vs ${e.opposition}`, e.ground, e.bowlerType && `faced ${e.bowlerType}`,
+                                    e.battingPosition && `batted No. ${e.battingPosition}`, e.inningsType && (e.target ? `chasing ${e.target}` : e.inningsType.toLowerCase()),
+                                    e.teamTotal && `team ${e.teamTotal}`, e.result].filter(Boolean).join(" · ") || "No match details."}
+                                </div>
+                                {notes.length === 0 ? (
+                                  <div className="text-gray-500">No notes for this match.</div>
+                                ) : (
+                                  <div className="grid md:grid-cols-3 gap-3">
+                                    {notes.map(([k, label]) => (
+                                      <div key={k}>
+                                        <div className="text-xs font-semibold text-gray-500">{label}</div>
+                                        <div className="whitespace-pre-wrap"><Highlight text={e[k]} terms={tableTerms} /></div>
+                                      </div>
+                                    ))}
+                                  </div>
+                                )}
+                              </td>
+                            </tr>
+                          )}
+                        </React.Fragment>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              <div className="flex flex-wrap items-center justify-between gap-2 mt-3 text-sm text-gray-600">
+                <div>
+                  {page * pageSize + 1}–{Math.min((page + 1) * pageSize, tableRows.length)} of {tableRows.length}{tableTerms.length ? " matching" : ""}
+                  {tableRows.length > pageRows.length && !tableRows.every((e) => selectedIds.has(e.id)) && (
+                    <button type="button" className="ml-3 underline" onClick={() => selectRows(tableRows, true)}>Select all {tableRows.length}</button>
+                  )}
+                </div>
+                <div className="flex items-center gap-2">
+                  <Button size="sm" variant="outline" disabled={page === 0} onClick={() => setTablePage(page - 1)}>Previous</Button>
+                  <span>Page {page + 1} of {pageCount}</span>
+                  <Button size="sm" variant="outline" disabled={page >= pageCount - 1} onClick={() => setTablePage(page + 1)}>Next</Button>
+                </div>
+              </div>
+            </>
+          )}
+        </Section>
+
+        {/* Entry History */}
+        {historyId && (
+          <Section title="Entry History" right={<Button variant="outline" onClick={() => setHistoryId(null)}>Close</Button>}>
+            {historyRows.length === 0 ? (
+              <div className="text-sm text-gray-500">No recorded changes for this entry.</div>
+            ) : (
+              <div className="space-y-2">
+                {historyRows.map((h, i) => (
+                  <div key={`${h.txn}-${i}`} className="flex flex-wrap items-center justify-between gap-2 rounded-2xl border p-3 text-sm">
+                    <div>
+                      <div className="font-medium">{h.label}</div>
+                      <div className="text-xs text-gray-500">{new Date(h.at).toLocaleString()}</div>
+                      <div className="text-xs text-gray-600 mt-1">
+                        {h.before ? entrySummary(h.before) : "(new)"} <ArrowRight className="inline w-3 h-3"/> {h.after ? entrySummary(h.after) : "(deleted)"}
+                      </div>
+                    </div>
+                    {h.after && i > 0 && (
+                      <Button size="sm" variant="outline" onClick={() => restoreVersion(h.after, `Restore ${fmtDate(h.after.date)} entry to earlier version`)}>Restore this version</Button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </Section>
+        )}
+
+        {/* Trash */}
+        {showTrash && (
+          <Section title="Trash" right={<Button variant="outline" onClick={() => setShowTrash(false)}>Close</Button>}>
+            {trash.length === 0 ? (
+              <div className="text-sm text-gray-500">Nothing in the trash. Deleted entries show up here.</div>
+            ) : (
+              <div className="space-y-2">
+                {trash.map((t) => (
+                  <div key={t.id} className="flex flex-wrap items-center justify-between gap-2 rounded-2xl border p-3 text-sm">
+                    <div>
+                      <div className="font-medium">{entrySummary(t.before)}</div>
+                      <div className="text-xs text-gray-500">{t.label} · {new Date(t.at).toLocaleString()}</div>
+                    </div>
+                    <div className="flex gap-2">
+                      <Button size="sm" variant="outline" onClick={() => setHistoryId(t.id)}><History className="w-4 h-4"/></Button>
+                      <Button size="sm" variant="outline" onClick={() => restoreFromTrash(t)}>Restore</Button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </Section>
+        )}
+
         {/* Footer */}
-        <div className="text-center text-xs text-gray-400 py-6">Your data is stored locally in your browser. Export regularly for backup.</div>
+        <div className="text-center text-xs text-gray-400 py-6">Your data is stored locally in your browser (IndexedDB). Export regularly for backup. Device {deviceId.slice(0, 8)}.</div>
       </div>
     </div>
   );